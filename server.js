@@ -15,33 +15,158 @@ const path = require('path');
 const crypto = require('crypto');
 const { WebSocketServer, WebSocket } = require('ws');
 
+// ─────────────────────────────────────────────
+// 0. 用户账号（users.json）
+// ─────────────────────────────────────────────
+// { "users": [{ "name": "alice", "password": "scrypt:<salt>:<hash>", "admin": true }] }
+// 有用户时为多用户模式：前端用用户名 + 密码登录，session 按用户隔离；否则使用 config.password
+const USERS_PATH = path.join(__dirname, 'users.json');
+const USERNAME_RE = /^[\w.-]{1,32}$/; // 用户名会出现在 sessionKey 中，不能含冒号
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return 'scrypt:' + salt.toString('hex') + ':' + crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// 用户名不存在时也做一次同样耗时的校验，避免从响应时间判断用户是否存在
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/** 与长度无关的常量时间字符串比较（用于 config.password） */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function readUsersFile() {
+  if (!fs.existsSync(USERS_PATH)) return [];
+  const data = JSON.parse(fs.readFileSync(USERS_PATH, 'utf8'));
+  return (Array.isArray(data.users) ? data.users : [])
+    .filter(u => u && USERNAME_RE.test(u.name) && typeof u.password === 'string');
+}
+
+/** Map<name, { name, password, admin }> */
+let USERS = new Map();
+
+function loadUsers() {
+  try {
+    USERS = new Map(readUsersFile().map(u => [u.name, { name: u.name, password: u.password, admin: u.admin === true }]));
+  } catch (e) {
+    console.error('[Users] Failed to read users.json, keeping current users:', e.message);
+  }
+}
+
+/**
+ * 命令行添加用户或修改密码（不启动服务）：
+ *   node server.js --add-user <name> [--admin]
+ * 密码从标准输入读取一行
+ */
+function addUserCli(args) {
+  const name = args.find(a => !a.startsWith('--'));
+  if (!name || !USERNAME_RE.test(name)) {
+    console.error('Usage: node server.js --add-user <name> [--admin]  (name: letters, digits, "_", "-", ".")');
+    process.exit(1);
+  }
+  process.stdout.write('Password for ' + name + ': ');
+  const buf = Buffer.alloc(1);
+  let line = '';
+  while (fs.readSync(0, buf, 0, 1) === 1 && buf[0] !== 0x0a) line += String.fromCharCode(buf[0]);
+  const password = Buffer.from(line, 'latin1').toString('utf8').replace(/\r$/, '');
+  if (!password) {
+    console.error('Password must not be empty');
+    process.exit(1);
+  }
+  const users = readUsersFile().filter(u => u.name !== name);
+  users.push({ name, password: hashPassword(password), admin: args.includes('--admin') });
+  fs.writeFileSync(USERS_PATH, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  console.log(`Saved user "${name}" to ${USERS_PATH}`);
+  process.exit(0);
+}
+
+if (process.argv[2] === '--add-user') addUserCli(process.argv.slice(3));
+loadUsers();
+
 // ─────────────────────────────────────────────
 // 1. 配置加载
 // ─────────────────────────────────────────────
 const CONFIG_PATH = path.join(__dirname, 'config.json');
+
+/** 读取并解析 config.json（失败时抛出） */
+function readConfig() {
+  const text = fs.readFileSync(CONFIG_PATH, 'utf8');
+  return { text, config: JSON.parse(text) };
+}
+
 let config;
+let configText; // 当前生效的 config.json 原文，文件未变化时不重复加载
 try {
-  config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  ({ text: configText, config } = readConfig());
 } catch (e) {
   console.error('Failed to read config.json:', e.message);
   process.exit(1);
 }
 
-const PORT = config.port || 18890;
-const GATEWAYS = config.gateways || [];
-const PASSWORD = (config.password && config.password.trim()) ? config.password.trim() : null;
-const AUTH_REQUIRED = !!PASSWORD;
+const PORT = config.port || 18890; // 端口变更需要重启
+let GATEWAYS, PASSWORD, AUTH_REQUIRED, CONFIG_MODELS, API_KEYS, CDN_FALLBACK, LOGIN_TTL, TRUSTED_PROXIES, ALLOWED_ORIGINS;
+
+/** 由 config 计算各项设置；启动时和热加载（见 10. 配置热加载）时调用 */
+function applyConfig(cfg) {
+  GATEWAYS = cfg.gateways || [];
+  PASSWORD = (cfg.password && cfg.password.trim()) ? cfg.password.trim() : null;
+  AUTH_REQUIRED = !!PASSWORD || USERS.size > 0;
+
+  // 手动配置的可用模型列表（从 config.json 读取，或使用默认值）
+  CONFIG_MODELS = Array.isArray(cfg.models) && cfg.models.length > 0
+    ? cfg.models
+    : [
+        { value: 'opus46',  label: 'Claude Opus 4.6' },
+        { value: 'sonnet',  label: 'Claude Sonnet 4.6' },
+        { value: 'gemini',  label: 'Gemini 2.5 Flash' },
+        { value: 'pro',     label: 'Gemini 2.5 Pro' },
+        { value: 'kimi',    label: 'Kimi' },
+      ];
+
+  // OpenAI 兼容接口的客户端密钥: [{ name, key, gateway?, user? }]，未配置时接口关闭
+  API_KEYS = Array.isArray(cfg.apiKeys)
+    ? cfg.apiKeys.filter(k => k && typeof k.key === 'string' && k.key.length > 0)
+    : [];
+
+  // 本地前端依赖（marked / highlight.js）缺失时是否改用 cdnjs 加载
+  CDN_FALLBACK = cfg.cdnFallback === true;
+
+  // 登录 cookie 有效期（天），只影响之后的登录
+  LOGIN_TTL = (Number(cfg.loginDays) > 0 ? Number(cfg.loginDays) : 30) * 24 * 3600 * 1000;
+
+  // 可信反向代理的地址：来自这些地址的请求才采用 X-Real-IP / X-Forwarded-For / X-Forwarded-Proto
+  TRUSTED_PROXIES = new Set(Array.isArray(cfg.trustedProxies) ? cfg.trustedProxies.map(normalizeIp).filter(Boolean) : []);
+
+  // 额外允许连接前端 WebSocket 的页面来源（Origin），与 Host 同源的页面总是允许
+  ALLOWED_ORIGINS = new Set(Array.isArray(cfg.allowedOrigins) ? cfg.allowedOrigins.map(normalizeOrigin).filter(Boolean) : []);
+}
+
+/** Origin 规范化为 scheme://host[:port]（小写、去掉默认端口），无效时为 null */
+function normalizeOrigin(origin) {
+  try {
+    const url = new URL(String(origin).trim());
+    return url.host ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-// 手动配置的可用模型列表（从 config.json 读取，或使用默认值）
-const CONFIG_MODELS = Array.isArray(config.models) && config.models.length > 0
-  ? config.models
-  : [
-      { value: 'opus46',  label: 'Claude Opus 4.6' },
-      { value: 'sonnet',  label: 'Claude Sonnet 4.6' },
-      { value: 'gemini',  label: 'Gemini 2.5 Flash' },
-      { value: 'pro',     label: 'Gemini 2.5 Pro' },
-      { value: 'kimi',    label: 'Kimi' },
-    ];
+/** IPv4-mapped IPv6（::ffff:1.2.3.4）转为 IPv4 */
+function normalizeIp(ip) {
+  return String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+applyConfig(config);
 
 // ─────────────────────────────────────────────
 // 1b. Device Identity (Ed25519 签名认证)
@@ -112,6 +237,540 @@ function buildDeviceAuthField(identity, token, nonce) {
 const deviceIdentity = loadOrCreateDeviceIdentity();
 console.log('[Device] Identity:', deviceIdentity.deviceId);
 
+// ─────────────────────────────────────────────
+// 1c. 会话存储（服务端持久化，append-only JSONL）
+//    每行一条记录:
+//      { op: 'session', session }             新建/更新 session 元数据
+//      { op: 'message', sessionId, message }  追加一条已完成的消息
+//      { op: 'delete',  sessionId }           删除 session
+// ─────────────────────────────────────────────
+const STORE_PATH = path.join(__dirname, 'sessions.jsonl');
+const DEFAULT_TITLE = '新会话';
+
+/** 与前端 updateSessTitle 相同的规则：取首条用户消息前 22 个字符 */
+function makeSessionTitle(text, attachments) {
+  if (text) return text.slice(0, 22) + (text.length > 22 ? '…' : '');
+  if (attachments && attachments.length > 0) return '[图片/文件]';
+  return DEFAULT_TITLE;
+}
+
+class SessionStore {
+  /**
+   * @param {string} file - JSONL 文件路径
+   */
+  constructor(file) {
+    this.file = file;
+    /** Map<sessionId, { id, title, gatewayIdx, sessionKey, createdAt, updatedAt, messages[] }> */
+    this.sessions = new Map();
+    /** Map<'gatewayIdx|sessionKey', sessionId> - 按 gateway 事件里的 sessionKey 反查 */
+    this.byKey = new Map();
+    /** Map<sessionId, message> - 正在流式生成、尚未落盘的 assistant 消息 */
+    this.live = new Map();
+    /** WeakSet<message> - 已被 chat 事件对应过的本地用户消息（同内容的下一条 chat 消息不再算重复） */
+    this.chatMatched = new WeakSet();
+    this.load();
+  }
+
+  static keyOf(gatewayIdx, sessionKey) {
+    return gatewayIdx + '|' + sessionKey;
+  }
+
+  /** 回放 JSONL 重建内存状态；有删除/覆盖记录时顺便压缩文件 */
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, 'utf8');
+    } catch {
+      return;
+    }
+    let stale = false;
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { stale = true; continue; }
+      if (rec.op === 'session' && rec.session) {
+        if (this.sessions.has(rec.session.id)) stale = true;
+        this.applySession(rec.session);
+      } else if (rec.op === 'message') {
+        const sess = this.sessions.get(rec.sessionId);
+        if (sess && rec.message) sess.messages.push(rec.message);
+        else stale = true;
+      } else if (rec.op === 'update') {
+        this.applyMessageUpdate(rec.sessionId, rec.messageId, rec.fields);
+        stale = true;
+      } else if (rec.op === 'delete') {
+        this.dropSession(rec.sessionId);
+        stale = true;
+      }
+    }
+    if (stale) this.compact();
+    console.log(`[Store] Loaded ${this.sessions.size} session(s) from ${path.basename(this.file)}`);
+  }
+
+  /** 重写文件，只保留仍存在的 session 和消息 */
+  compact() {
+    const lines = [];
+    for (const sess of this.sessions.values()) {
+      lines.push(JSON.stringify({ op: 'session', session: this.meta(sess) }));
+      for (const message of sess.messages) {
+        lines.push(JSON.stringify({ op: 'message', sessionId: sess.id, message }));
+      }
+    }
+    const tmp = this.file + '.tmp';
+    try {
+      fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', { mode: 0o600 });
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      console.error('[Store] Compaction failed:', e.message);
+    }
+  }
+
+  append(rec) {
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(rec) + '\n', { mode: 0o600 });
+    } catch (e) {
+      console.error('[Store] Write failed:', e.message);
+    }
+  }
+
+  applySession(meta) {
+    const existing = this.sessions.get(meta.id);
+    const sess = existing || { messages: [] };
+    Object.assign(sess, meta);
+    if (existing && existing.sessionKey !== meta.sessionKey) {
+      this.byKey.delete(SessionStore.keyOf(existing.gatewayIdx, existing.sessionKey));
+    }
+    this.sessions.set(sess.id, sess);
+    this.byKey.set(SessionStore.keyOf(sess.gatewayIdx, sess.sessionKey), sess.id);
+    return sess;
+  }
+
+  dropSession(id) {
+    const sess = this.sessions.get(id);
+    if (!sess) return;
+    this.sessions.delete(id);
+    this.live.delete(id);
+    this.byKey.delete(SessionStore.keyOf(sess.gatewayIdx, sess.sessionKey));
+  }
+
+  meta(sess) {
+    return {
+      id: sess.id,
+      title: sess.title,
+      gatewayIdx: sess.gatewayIdx,
+      sessionKey: sess.sessionKey,
+      agentId: sess.agentId || null,
+      owner: sess.owner || null,
+      source: sess.source || 'webui',
+      settings: sess.settings || {},
+      createdAt: sess.createdAt,
+      updatedAt: sess.updatedAt,
+    };
+  }
+
+  /** 发给前端的 session 摘要（不含消息体） */
+  summary(sess) {
+    const last = [...sess.messages].reverse().find(m => m.role === 'user' || m.role === 'assistant');
+    return {
+      ...this.meta(sess),
+      preview: last ? (last.content || '').replace(/\s+/g, ' ').trim().slice(0, 60) : '',
+      messageCount: sess.messages.length,
+    };
+  }
+
+  list() {
+    return [...this.sessions.values()]
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+      .map(sess => this.summary(sess));
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  findByKey(gatewayIdx, sessionKey) {
+    const id = this.byKey.get(SessionStore.keyOf(gatewayIdx, sessionKey));
+    return id ? this.sessions.get(id) : null;
+  }
+
+  /** 已落盘的消息 + 正在生成的消息 */
+  messages(id) {
+    const sess = this.sessions.get(id);
+    if (!sess) return [];
+    const live = this.live.get(id);
+    return live ? [...sess.messages, live] : sess.messages.slice();
+  }
+
+  /**
+   * 新建或更新 session 元数据
+   * @param {object} fields - { id, title?, gatewayIdx, sessionKey, agentId?, owner?, source?, settings? }
+   *                          owner 为创建该 session 的用户（多用户模式），创建后不再改变；
+   *                          agentId 为 session 所属的 agent（为 null 的旧 session 属于 gateway 的默认 agent）；
+   *                          source 为 'gateway' 表示从 gateway 会话列表打开（历史可从 gateway 分页加载）；
+   *                          settings 与已有设置合并（如 { model }），值为 null 的项被删除
+   */
+  upsert(fields) {
+    const now = Date.now();
+    const existing = this.sessions.get(fields.id);
+    const settings = { ...((existing && existing.settings) || {}), ...(fields.settings || {}) };
+    for (const k of Object.keys(settings)) {
+      if (settings[k] === null) delete settings[k];
+    }
+    const meta = {
+      id: fields.id,
+      title: fields.title || (existing && existing.title) || DEFAULT_TITLE,
+      gatewayIdx: typeof fields.gatewayIdx === 'number' ? fields.gatewayIdx : (existing ? existing.gatewayIdx : 0),
+      sessionKey: fields.sessionKey || (existing && existing.sessionKey) || ('webui:' + fields.id),
+      agentId: fields.agentId || (existing && existing.agentId) || null,
+      owner: (existing ? existing.owner : fields.owner) || null,
+      source: fields.source || (existing && existing.source) || 'webui',
+      settings,
+      createdAt: (existing && existing.createdAt) || fields.createdAt || now,
+      updatedAt: now,
+    };
+    const sess = this.applySession(meta);
+    this.append({ op: 'session', session: meta });
+    return sess;
+  }
+
+  /**
+   * 找不到时按 sessionId / sessionKey 自动建档
+   * sessionId 已被其他 session（gateway 或 sessionKey 不同）占用时不使用它
+   */
+  ensure(id, gatewayIdx, sessionKey, owner = null) {
+    const byId = id && this.sessions.get(id);
+    if (byId && byId.gatewayIdx === gatewayIdx && byId.sessionKey === sessionKey) return byId;
+    const sess = this.findByKey(gatewayIdx, sessionKey);
+    if (sess) return sess;
+    const newId = id && !byId ? id : 'sess_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7);
+    return this.upsert({ id: newId, gatewayIdx, sessionKey, owner });
+  }
+
+  remove(id) {
+    if (!this.sessions.has(id)) return false;
+    this.dropSession(id);
+    this.append({ op: 'delete', sessionId: id });
+    return true;
+  }
+
+  /**
+   * 追加一条已完成的消息；首条用户消息会顺带生成标题
+   * @returns {boolean} 标题是否发生变化
+   */
+  addMessage(sessionId, message) {
+    const sess = this.sessions.get(sessionId);
+    if (!sess) return false;
+    const record = { ...message, done: true, ts: message.ts || Date.now() };
+    sess.messages.push(record);
+    this.append({ op: 'message', sessionId, message: record });
+    if (record.role === 'user' && sess.title === DEFAULT_TITLE) {
+      const title = makeSessionTitle(record.content, record.attachments);
+      if (title !== DEFAULT_TITLE) {
+        this.upsert({ id: sessionId, title });
+        return true;
+      }
+    }
+    sess.updatedAt = Date.now();
+    return false;
+  }
+
+  /**
+   * 修改一条已落盘的消息（例如标记用户消息发送失败），值为 null 的字段被删除
+   * @returns {object|null} 修改后的消息
+   */
+  updateMessage(sessionId, messageId, fields) {
+    const message = this.applyMessageUpdate(sessionId, messageId, fields);
+    if (message) this.append({ op: 'update', sessionId, messageId, fields });
+    return message;
+  }
+
+  applyMessageUpdate(sessionId, messageId, fields) {
+    const sess = this.sessions.get(sessionId);
+    const message = sess && sess.messages.find(m => m.id === messageId);
+    if (!message || !fields) return null;
+    for (const [k, v] of Object.entries(fields)) {
+      if (v === null) delete message[k];
+      else message[k] = v;
+    }
+    return message;
+  }
+
+  /** 结束正在生成的消息并落盘 */
+  finishLive(sessionId) {
+    const live = this.live.get(sessionId);
+    if (!live) return;
+    this.live.delete(sessionId);
+    delete live.lastSeq;
+    this.addMessage(sessionId, live);
+  }
+
+  /**
+   * 把 GatewayClient 产生的流式消息写入存储。
+   * lifecycle start 时会给 msg 补上 msgId，前端用它作为 assistant 消息 ID。
+   * 正在生成的消息记录最后一个事件的 seq，前端加载快照后据此续传。
+   * @returns {object|null} 元数据/预览发生变化的 session（需通知前端）
+   */
+  recordEvent(msg) {
+    const sess = this.findByKey(msg.gateway, msg.sessionKey);
+    if (!sess) return null;
+    const live = this.live.get(sess.id);
+    if (live && typeof msg.seq === 'number') live.lastSeq = msg.seq;
+
+    switch (msg.type) {
+      case 'lifecycle':
+        if (msg.phase === 'start') {
+          this.finishLive(sess.id);
+          const m = {
+            id: 'msg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7),
+            role: 'assistant', content: '', thinking: '', tools: [], done: false,
+            runId: msg.runId, lastSeq: msg.seq,
+            model: (sess.settings && sess.settings.model) || null, // 生成这条回复时 session 选用的模型
+          };
+          this.live.set(sess.id, m);
+          msg.msgId = m.id;
+          msg.model = m.model;
+          return null;
+        }
+        this.finishLive(sess.id);
+        if (msg.phase === 'error') {
+          this.addMessage(sess.id, { role: 'system', content: '错误: ' + (msg.message || '未知错误') });
+        } else if (msg.phase === 'cancelled') {
+          this.addMessage(sess.id, { role: 'system', content: '已取消' });
+        }
+        return sess;
+
+      case 'error':
+        // 请求被 gateway 拒绝、超时或连接断开（例如 agent 请求失败，不会有 lifecycle 事件）；
+        // 能对应到用户消息时标记在该消息上（前端显示重试），否则记一条系统消息
+        if (msg.msgId && this.updateMessage(sess.id, msg.msgId, { status: 'failed', error: { code: msg.code || null, message: msg.message || '' } })) {
+          return null;
+        }
+        this.addMessage(sess.id, { role: 'system', content: '错误: ' + (msg.message || '未知错误') });
+        return sess;
+
+      case 'chat_message': {
+        // 其他渠道同步来的完整消息；本地已有的（自己发出的用户消息、agent 流已记录的回复）标记为重复，不再转发
+        if (this.hasChatMessage(sess, msg)) {
+          msg.duplicate = true;
+          return null;
+        }
+        const m = msg.message;
+        const record = {
+          id: m.id || ('msg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7)),
+          role: m.role,
+          content: m.content,
+          ts: m.ts,
+          source: 'chat',
+        };
+        if (m.role === 'user') record.attachments = m.attachments;
+        else Object.assign(record, { thinking: m.thinking, tools: [], runId: msg.runId });
+        msg.message = { ...record };
+        this.addMessage(sess.id, record);
+        return sess;
+      }
+
+      case 'chunk':
+        if (live) live.content += msg.text;
+        return null;
+
+      case 'thinking':
+        if (live) live.thinking += msg.text;
+        return null;
+
+      case 'tool_start':
+        if (live) live.tools.push(newToolCall(msg));
+        return null;
+
+      case 'tool_update': {
+        const tool = live && findToolCall(live.tools, msg);
+        if (tool && msg.partial !== undefined) tool.progress = msg.partial;
+        return null;
+      }
+
+      case 'tool_result': {
+        const tool = live && findToolCall(live.tools, msg);
+        if (tool) {
+          tool.result = msg.result === undefined ? null : msg.result;
+          tool.status = msg.isError ? 'error' : 'done';
+          delete tool.progress;
+        }
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /** chat 事件的消息是否已经记录过 */
+  hasChatMessage(sess, msg) {
+    const m = msg.message;
+    const recent = sess.messages.slice(-50);
+    if (m.id && recent.some(x => x.id === m.id)) return true;
+
+    if (m.role === 'assistant') {
+      // 同一个 run 的回复已由 agent 流记录（正在生成或已落盘）
+      const live = this.live.get(sess.id);
+      if (msg.runId) return !!(live && live.runId === msg.runId) || recent.some(x => x.runId === msg.runId);
+      const last = [...recent].reverse().find(x => x.role === 'assistant');
+      return !!last && last.content === m.content;
+    }
+
+    // 用户消息：最近一条同内容、尚未对应过的本地消息就是它（本地发出后 gateway 回传）
+    const local = [...recent].reverse().find(x => x.role === 'user' && x.content === m.content && !this.chatMatched.has(x));
+    if (!local) return false;
+    this.chatMatched.add(local);
+    return true;
+  }
+
+  /** 导入旧版 localStorage 中的会话（已存在的 ID 跳过） */
+  importSession(data, fields = {}) {
+    if (!data || !data.id || this.sessions.has(data.id)) return null;
+    const sess = this.upsert({
+      id: data.id,
+      title: data.title,
+      gatewayIdx: data.gatewayIdx || 0,
+      sessionKey: data.sessionKey,
+      ...fields,
+    });
+    for (const m of data.messages || []) {
+      if (!m || !m.role) continue;
+      this.addMessage(sess.id, {
+        id: m.id,
+        role: m.role,
+        content: m.content || '',
+        thinking: m.thinking || '',
+        tools: m.tools || [],
+        attachments: m.attachments || [],
+      });
+    }
+    return sess;
+  }
+}
+
+const sessionStore = new SessionStore(STORE_PATH);
+
+/** 由 tool_start 事件创建工具调用记录；有 toolCallId 时直接用作 ID */
+function newToolCall(msg) {
+  return {
+    id: msg.toolCallId || ('tool_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6)),
+    name: msg.name,
+    args: msg.args,
+    result: null,
+    status: 'running',
+  };
+}
+
+/** 按 toolCallId 找到对应的工具调用；gateway 没有提供 ID 时退回到同名且未完成的最后一个 */
+function findToolCall(tools, msg) {
+  if (msg.toolCallId) return tools.find(t => t.id === msg.toolCallId) || null;
+  return [...tools].reverse().find(t => t.name === msg.name && t.result === null) || null;
+}
+
+// ─────────────────────────────────────────────
+// 1d. 登录会话（HttpOnly cookie，logins.json）
+// ─────────────────────────────────────────────
+// 前端 POST /login 成功后获得 cookie：oc_session=<id>.<expires>.<HMAC 签名>，WS 握手时凭它认证，
+// 浏览器不保存密码。服务端记录每个登录以便撤销（退出、改密码、删除用户），重启后仍然有效。
+// { "secret": "<hex>", "logins": [{ "id", "user", "cred", "created", "expires", "ip" }] }
+const LOGINS_PATH = path.join(__dirname, 'logins.json');
+const LOGIN_COOKIE = 'oc_session';
+
+let loginSecret = null;
+/** Map<id, login>；login.user 为用户名，单密码模式为 null */
+const logins = new Map();
+
+function loadLogins() {
+  try {
+    if (fs.existsSync(LOGINS_PATH)) {
+      const data = JSON.parse(fs.readFileSync(LOGINS_PATH, 'utf8'));
+      if (typeof data.secret === 'string' && data.secret.length >= 64) loginSecret = data.secret;
+      const now = Date.now();
+      for (const login of Array.isArray(data.logins) ? data.logins : []) {
+        if (login && typeof login.id === 'string' && login.expires > now) logins.set(login.id, login);
+      }
+    }
+  } catch (e) {
+    console.error('[Login] Failed to read logins.json, browsers need to log in again:', e.message);
+  }
+  if (!loginSecret) loginSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/** 写回 logins.json（顺便清理过期的登录） */
+function saveLogins() {
+  const now = Date.now();
+  for (const [id, login] of logins) if (login.expires <= now) logins.delete(id);
+  try {
+    const data = { secret: loginSecret, logins: [...logins.values()] };
+    fs.writeFileSync(LOGINS_PATH, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  } catch (e) {
+    console.error('[Login] Failed to write logins.json:', e.message);
+  }
+}
+
+function loginHmac(text) {
+  return crypto.createHmac('sha256', loginSecret).update(text).digest('base64url');
+}
+
+/** 登录时凭据的指纹：密码（或用户的密码哈希）变更后，旧登录随之失效 */
+function credentialFingerprint(userName) {
+  const secret = userName ? (USERS.get(userName) || {}).password : PASSWORD;
+  return secret ? loginHmac('cred:' + (userName || '') + ':' + secret) : null;
+}
+
+/** 登录是否仍然有效：未过期、登录方式与当前模式一致、密码未变更 */
+function isLoginValid(login) {
+  if (login.expires <= Date.now()) return false;
+  if (!!login.user !== USERS.size > 0) return false;
+  return login.cred === credentialFingerprint(login.user);
+}
+
+/** @param {{ name? }} user - checkCredentials 的返回值 */
+function createLogin(user, ip) {
+  const now = Date.now();
+  const login = {
+    id: crypto.randomBytes(16).toString('hex'),
+    user: user.name || null,
+    cred: credentialFingerprint(user.name),
+    created: now,
+    expires: now + LOGIN_TTL,
+    ip,
+  };
+  logins.set(login.id, login);
+  saveLogins();
+  return login;
+}
+
+/** cookie 值：<id>.<expires>.<签名> */
+function loginCookieValue(login) {
+  const payload = login.id + '.' + login.expires;
+  return payload + '.' + loginHmac(payload);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+/**
+ * 从请求的 cookie 中取出登录记录（只校验签名；是否有效由调用方用 isLoginValid 判断）
+ * @returns {object|null}
+ */
+function findLoginByCookie(req) {
+  const value = parseCookies(req.headers.cookie)[LOGIN_COOKIE];
+  const [id, expires, sig] = (value || '').split('.');
+  if (!id || !expires || !sig) return null;
+  const expected = Buffer.from(loginHmac(id + '.' + expires));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  const login = logins.get(id);
+  return login && String(login.expires) === expires ? login : null;
+}
+
+loadLogins();
+
 // ─────────────────────────────────────────────
 // 2. 内嵌 HTML 页面（完整前端）
 //    用函数返回，避免模板字符串嵌套冲突
@@ -123,9 +782,9 @@ function getHtmlPage() {
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0, viewport-fit=cover" />
   <title>OpenClaw WebUI</title>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css" id="hljs-theme" />
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/marked/9.1.6/marked.min.js"><\/script>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js"><\/script>
+  <link rel="stylesheet" href="${vendorUrl('hljs/github-dark.min.css')}" id="hljs-theme" />
+  <script src="${vendorUrl('marked.min.js')}"><\/script>
+  <script src="${vendorUrl('highlight.min.js')}"><\/script>
   <style>
     /* ── CSS 变量（主题） ── */
     :root {
@@ -213,7 +872,8 @@ function getHtmlPage() {
       color: var(--text);
       letter-spacing: 0.2px;
     }
-    #btn-new-session {
+    #sidebar-actions { display: flex; gap: 2px; }
+    #btn-new-session, #btn-browse-gateway, #btn-cron {
       width: 32px;
       height: 32px;
       background: transparent;
@@ -227,8 +887,76 @@ function getHtmlPage() {
       transition: background 0.15s;
       padding: 4px;
     }
-    #btn-new-session:hover { background: var(--bg3); }
-    #btn-new-session svg { width: 20px; height: 20px; stroke: var(--text2); }
+    #btn-new-session:hover, #btn-browse-gateway:hover, #btn-cron:hover { background: var(--bg3); }
+    #btn-new-session svg, #btn-browse-gateway svg, #btn-cron svg { width: 20px; height: 20px; stroke: var(--text2); }
+
+    /* ── 侧边栏面板（Gateway 会话浏览 / 定时任务） ── */
+    .sidebar-panel {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      overflow: hidden;
+    }
+    .sidebar-panel[hidden], #session-list[hidden] { display: none; }
+    .sidebar-panel-head {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 8px 10px;
+      font-size: 13px;
+      color: var(--text2);
+      border-bottom: 1px solid var(--border);
+    }
+    .btn-panel-back {
+      background: none;
+      border: none;
+      color: var(--text2);
+      font-size: 20px;
+      line-height: 1;
+      padding: 0 6px;
+      cursor: pointer;
+      border-radius: 6px;
+    }
+    .btn-panel-back:hover { background: var(--bg3); }
+    .sidebar-panel-list { flex: 1; overflow-y: auto; }
+    .sidebar-panel-note { padding: 16px; font-size: 13px; color: var(--text3); text-align: center; }
+    .cron-item {
+      padding: 10px 14px;
+      border-bottom: 1px solid rgba(0,0,0,0.05);
+      font-size: 12px;
+      color: var(--text2);
+    }
+    [data-theme="dark"] .cron-item { border-bottom-color: rgba(255,255,255,0.05); }
+    .cron-item.disabled { opacity: 0.6; }
+    .cron-name { font-size: 14px; color: var(--text); margin-bottom: 2px; word-break: break-all; }
+    .cron-line { line-height: 1.6; }
+    .cron-status-ok { color: #07C160; }
+    .cron-status-error, .cron-error { color: var(--danger); }
+    .cron-status-running { color: #1989fa; }
+    .cron-actions { display: flex; gap: 6px; margin-top: 6px; }
+    .cron-actions button {
+      background: none;
+      border: 1px solid var(--border);
+      color: var(--text2);
+      border-radius: 6px;
+      padding: 2px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .cron-actions button:hover { background: var(--bg3); }
+    .cron-actions button.danger:hover { color: var(--danger); border-color: var(--danger); }
+    .load-history {
+      display: block;
+      margin: 4px auto 12px;
+      background: none;
+      border: 1px solid var(--border);
+      color: var(--text2);
+      border-radius: 12px;
+      padding: 4px 14px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .load-history:hover { background: var(--bg3); }
 
     #session-list {
       flex: 1;
@@ -258,8 +986,23 @@ function getHtmlPage() {
       align-items: center;
       justify-content: center;
       flex-shrink: 0;
+      position: relative;
     }
     .session-avatar svg { width: 26px; height: 26px; }
+    /* 正在生成回复的会话：头像右下角闪烁绿点 */
+    .session-item.streaming .session-avatar::after {
+      content: '';
+      position: absolute;
+      right: -3px;
+      bottom: -3px;
+      width: 10px;
+      height: 10px;
+      border-radius: 50%;
+      background: #07C160;
+      border: 2px solid var(--sidebar-bg);
+      animation: pulse 1s infinite;
+    }
+    .session-item.streaming .session-subtitle { color: #07C160; }
     .session-info {
       flex: 1;
       overflow: hidden;
@@ -354,6 +1097,7 @@ function getHtmlPage() {
       outline: none;
     }
     select:focus { border-color: var(--accent); }
+    .level-select { max-width: 96px; }
 
     /* ── 自定义模型选择器 ── */
     #model-picker {
@@ -514,6 +1258,29 @@ function getHtmlPage() {
     .msg-row.user .bubble-wrap {
       align-items: flex-end;
     }
+    .msg-model { font-size: 11px; color: var(--text3); margin: 3px 0 0 8px; }
+    .msg-row.user.failed .bubble { opacity: 0.7; }
+    .msg-row.user.pending .bubble { opacity: 0.55; }
+    .msg-status { font-size: 11px; color: var(--text3); margin: 3px 8px 0 0; }
+    .msg-error {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin: 4px 8px 0 0;
+      font-size: 12px;
+      color: #e84040;
+    }
+    .btn-retry {
+      background: none;
+      border: 1px solid currentColor;
+      color: inherit;
+      border-radius: 10px;
+      padding: 1px 10px;
+      font-size: 12px;
+      cursor: pointer;
+      flex-shrink: 0;
+    }
+    .btn-retry:hover { background: rgba(232,64,64,0.1); }
     .bubble-with-arrow {
       display: flex;
       align-items: flex-start;
@@ -585,6 +1352,7 @@ function getHtmlPage() {
       margin: 6px 0;
     }
     .bubble h1,.bubble h2,.bubble h3 { margin: 8px 0 4px; }
+    .bubble img { max-width: 100%; height: auto; border-radius: 6px; }
 
     /* ── 光标动画 ── */
     .cursor {
@@ -654,6 +1422,12 @@ function getHtmlPage() {
     }
     [data-theme="dark"] .collapsible.thinking .collapsible-body { color: #c9a820; }
     .collapsible.open .collapsible-body { display: block; }
+    .tool-status { font-weight: 400; font-size: 11px; color: var(--text3); }
+    .collapsible.tool-running .tool-status { animation: pulse 1s infinite; }
+    .collapsible.tool-error { border-color: var(--danger); }
+    .collapsible.tool-error .collapsible-header { color: var(--danger); background: rgba(232,64,64,0.08); }
+    .collapsible.tool-error .tool-status { color: var(--danger); }
+    .collapsible.tool-error .tool-result { color: var(--danger); }
 
     /* ── 输入区（微信风格） ── */
     #input-area {
@@ -747,6 +1521,7 @@ function getHtmlPage() {
       }
       #overlay.show { display: block; }
       .bubble-wrap { max-width: 85%; }
+      .level-select { max-width: 64px; padding: 4px; }
     }
 
     /* ── 滚动条 ── */
@@ -799,7 +1574,7 @@ function getHtmlPage() {
       text-align: center;
       margin-top: -12px;
     }
-    #auth-input {
+    #auth-user, #auth-input {
       width: 100%;
       padding: 11px 14px;
       background: var(--bg3);
@@ -811,7 +1586,10 @@ function getHtmlPage() {
       transition: border-color 0.2s;
       font-family: inherit;
     }
-    #auth-input:focus { border-color: var(--accent); }
+    #auth-user:focus, #auth-input:focus { border-color: var(--accent); }
+    #auth-user[hidden] { display: none; }
+    #sidebar-user { font-size: 12px; color: var(--text3); text-align: center; margin-bottom: 6px; }
+    #sidebar-user[hidden] { display: none; }
     #auth-btn {
       width: 100%;
       padding: 11px 0;
@@ -857,13 +1635,27 @@ function getHtmlPage() {
       color: var(--danger);
       border-color: var(--danger);
     }
-
-    /* ── 附件预览条 ── */
-    #attachment-preview {
-      display: none;
-      flex-wrap: wrap;
-      gap: 8px;
-      padding: 8px 16px 4px;
+    #btn-logout {
+      width: 100%;
+      padding: 8px 0;
+      margin-bottom: 6px;
+      background: none;
+      border: 1px solid var(--border);
+      color: var(--text3);
+      border-radius: 8px;
+      font-size: 12px;
+      cursor: pointer;
+      transition: background 0.15s;
+    }
+    #btn-logout:hover { background: var(--bg3); }
+    #btn-logout[hidden] { display: none; }
+
+    /* ── 附件预览条 ── */
+    #attachment-preview {
+      display: none;
+      flex-wrap: wrap;
+      gap: 8px;
+      padding: 8px 16px 4px;
       background: var(--bg);
       border-top: 1px solid var(--border);
     }
@@ -1019,6 +1811,7 @@ function getHtmlPage() {
     </div>
     <div id="auth-title">OpenClaw WebUI</div>
     <div id="auth-subtitle">请输入访问密码</div>
+    <input type="text" id="auth-user" placeholder="用户名" autocomplete="username" hidden />
     <input type="password" id="auth-input" placeholder="密码" autocomplete="current-password" />
     <button id="auth-btn">确认</button>
     <div id="auth-error"></div>
@@ -1043,14 +1836,42 @@ function getHtmlPage() {
 <aside id="sidebar">
   <div id="sidebar-header">
     <h2>OpenClaw</h2>
-    <button id="btn-new-session" title="新建会话">
-      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-        <path d="M12 5v14M5 12h14"/>
-      </svg>
-    </button>
+    <div id="sidebar-actions">
+      <button id="btn-cron" title="定时任务">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/>
+        </svg>
+      </button>
+      <button id="btn-browse-gateway" title="浏览 Gateway 会话">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M4 6h16M4 12h16M4 18h10"/>
+        </svg>
+      </button>
+      <button id="btn-new-session" title="新建会话">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M12 5v14M5 12h14"/>
+        </svg>
+      </button>
+    </div>
   </div>
   <div id="session-list"></div>
+  <div id="gw-browser" class="sidebar-panel" hidden>
+    <div class="sidebar-panel-head">
+      <button id="btn-gw-browser-back" class="btn-panel-back" title="返回会话列表">‹</button>
+      <span id="gw-browser-title">Gateway 会话</span>
+    </div>
+    <div id="gw-browser-list" class="sidebar-panel-list"></div>
+  </div>
+  <div id="cron-panel" class="sidebar-panel" hidden>
+    <div class="sidebar-panel-head">
+      <button id="btn-cron-back" class="btn-panel-back" title="返回会话列表">‹</button>
+      <span id="cron-title">定时任务</span>
+    </div>
+    <div id="cron-list" class="sidebar-panel-list"></div>
+  </div>
   <div id="sidebar-footer">
+    <div id="sidebar-user" hidden></div>
+    <button id="btn-logout" hidden>退出登录</button>
     <button id="btn-clear-sessions">
       <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="width:14px;height:14px;vertical-align:middle;margin-right:4px">
         <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14H6L5 6"/><path d="M10 11v6M14 11v6"/><path d="M9 6V4h6v2"/>
@@ -1072,6 +1893,19 @@ function getHtmlPage() {
     <span id="topbar-title">选择或新建会话</span>
     <select id="sel-gateway" title="选择 Gateway"></select>
     <div id="topbar-right">
+      <select id="sel-agent" class="level-select" title="Agent（切换后新建会话）" hidden></select>
+      <select id="sel-reasoning" class="level-select" title="思考过程（reasoningLevel）">
+        <option value="">思考: 默认</option>
+        <option value="off">思考: 关</option>
+        <option value="on">思考: 开</option>
+        <option value="stream">思考: 流式</option>
+      </select>
+      <select id="sel-verbose" class="level-select" title="工具事件（verboseLevel）">
+        <option value="">工具: 默认</option>
+        <option value="off">工具: 关</option>
+        <option value="on">工具: 开</option>
+        <option value="full">工具: 完整</option>
+      </select>
       <div id="model-picker" title="切换模型">
         <div id="model-display" tabindex="0">
           <span id="model-label">加载中…</span>
@@ -1146,21 +1980,22 @@ function getHtmlPage() {
 
 /* ─── 全局状态 ─────────────────────────────────────── */
 const state = {
-  sessions: [],          // { id, title, gatewayIdx, sessionKey, messages[] }
+  sessions: [],          // { id, title, gatewayIdx, sessionKey, settings, preview, messages[], loaded, streaming, runId }
   currentSessionId: null,
   gateways: [],          // 从后端 init 消息获取
   ws: null,              // 到后端的 WebSocket
   wsConnected: false,
-  pendingMessages: [],   // 断线时的待发消息队列 [{ obj, msgEl }]
-  currentModel: 'claude-opus-4-6',
-  currentRunId: null,
-  isStreaming: false,
+  pendingMessages: [],   // 断线时的待发消息队列 [obj]，session_create / send 保存在 localStorage
+  unacked: [],           // 已写入 socket、服务端尚未确认的 session_create / send（同样保存，断线后重发）
   theme: 'dark',
   attachments: [],       // 当前待发附件 [File]
   authenticated: false,  // 是否已通过密码验证
+  authUsers: false,      // 服务端为多用户模式（登录需要用户名）
+  user: null,            // 当前用户 { name, admin }（多用户模式）
 };
 
 // ─── 可用模型列表（从后端 init 消息获取，格式 {value, label}）────
+// config.json 中的列表；gateway 提供了自己的模型列表时（state.gateways[i].models）优先使用后者
 let availableModels = [];
 
 /* ─── DOM 引用 ─────────────────────────────────────── */
@@ -1174,9 +2009,22 @@ const dom = {
   input:             byId('input'),
   btnSend:           byId('btn-send'),
   btnNewSession:     byId('btn-new-session'),
+  btnBrowseGateway:  byId('btn-browse-gateway'),
+  gwBrowser:         byId('gw-browser'),
+  gwBrowserTitle:    byId('gw-browser-title'),
+  gwBrowserList:     byId('gw-browser-list'),
+  btnGwBrowserBack:  byId('btn-gw-browser-back'),
+  btnCron:           byId('btn-cron'),
+  cronPanel:         byId('cron-panel'),
+  cronTitle:         byId('cron-title'),
+  cronList:          byId('cron-list'),
+  btnCronBack:       byId('btn-cron-back'),
   btnSidebarToggle:  byId('btn-sidebar-toggle'),
   btnTheme:          byId('btn-theme'),
   selGateway:        byId('sel-gateway'),
+  selAgent:          byId('sel-agent'),
+  selReasoning:      byId('sel-reasoning'),
+  selVerbose:        byId('sel-verbose'),
   modelPicker:       byId('model-picker'),
   modelDisplay:      byId('model-display'),
   modelLabel:        byId('model-label'),
@@ -1190,10 +2038,14 @@ const dom = {
   attPreview:        byId('attachment-preview'),
   dragOverlay:       byId('drag-overlay'),
   authScreen:        byId('auth-screen'),
+  authUser:          byId('auth-user'),
   authInput:         byId('auth-input'),
+  authSubtitle:      byId('auth-subtitle'),
+  sidebarUser:       byId('sidebar-user'),
   authBtn:           byId('auth-btn'),
   authError:         byId('auth-error'),
   btnClearSessions:  byId('btn-clear-sessions'),
+  btnLogout:         byId('btn-logout'),
   disconnectBanner:  byId('disconnect-banner'),
 };
 
@@ -1219,28 +2071,206 @@ function scrollToBottom() {
   dom.messages.scrollTop = dom.messages.scrollHeight;
 }
 
-/** Markdown 渲染（含代码高亮） */
-function renderMarkdown(raw) {
-  if (!raw) return '';
-  if (typeof marked === 'undefined') return '<p>' + escapeHtml(raw) + '</p>';
+/* ─── HTML 净化 ─────────────────────────────────────── */
+// 模型输出和工具结果都不可信：marked 生成的 HTML 只保留白名单内的标签、属性和 URL 协议
+const SANITIZE_TAGS = new Set([
+  'p','br','hr','h1','h2','h3','h4','h5','h6',
+  'strong','b','em','i','del','s','ins','sub','sup','mark','small','kbd','samp',
+  'code','pre','blockquote','ul','ol','li','dl','dt','dd',
+  'table','thead','tbody','tfoot','tr','th','td','caption',
+  'a','img','span','div','details','summary','input',
+]);
+// 连同内容一起删除的标签；其余不在白名单内的标签只去掉标签本身、保留文字
+const SANITIZE_DROP = new Set([
+  'script','style','iframe','frame','frameset','object','embed','applet','noscript','template',
+  'form','button','textarea','select','option','link','meta','base','svg','math',
+]);
+const SANITIZE_ATTRS = {
+  '*':     ['title'],
+  a:       ['href'],
+  img:     ['src','alt','width','height'],
+  ol:      ['start'],
+  th:      ['align','colspan','rowspan'],
+  td:      ['align','colspan','rowspan'],
+  pre:     ['class'],
+  code:    ['class'],
+  span:    ['class'],
+  input:   ['type','checked','disabled'],
+  details: ['open'],
+};
+const SAFE_URL_SCHEMES = new Set(['http','https','mailto']);
+const SAFE_IMAGE_TYPES = new Set(['image/png','image/jpeg','image/gif','image/webp']);
+
+/**
+ * 校验 URL：相对地址和 http/https/mailto 放行；图片另外允许位图的 data: URL
+ * @returns {string|null} 清理后的 URL，不安全时返回 null
+ */
+function safeUrl(url, forImage) {
+  // 浏览器解析协议时会忽略控制字符和空白（如 "java\tscript:"），先去掉再判断
+  const clean = String(url).replace(/[\\u0000-\\u0020\\u007f]/g, '');
+  const m = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(clean);
+  if (!m) return clean;
+  const scheme = m[1].toLowerCase();
+  if (forImage) {
+    if (scheme === 'http' || scheme === 'https') return clean;
+    if (scheme === 'data' && SAFE_IMAGE_TYPES.has(clean.slice(5).split(/[;,]/)[0].toLowerCase())) return clean;
+    return null;
+  }
+  return SAFE_URL_SCHEMES.has(scheme) ? clean : null;
+}
+
+/** 过滤单个元素的属性；返回 false 表示该元素应被移除 */
+function sanitizeAttrs(el, tag) {
+  const allowed = SANITIZE_ATTRS[tag] || [];
+  for (const attr of Array.from(el.attributes)) {
+    const name = attr.name.toLowerCase();
+    if (!SANITIZE_ATTRS['*'].includes(name) && !allowed.includes(name)) el.removeAttribute(attr.name);
+  }
+  // class 只保留代码高亮用到的 hljs-* / language-*
+  if (el.hasAttribute('class')) {
+    const cls = el.getAttribute('class').split(' ').filter(c => c.indexOf('hljs') === 0 || c.indexOf('language-') === 0);
+    if (cls.length) el.setAttribute('class', cls.join(' '));
+    else el.removeAttribute('class');
+  }
+
+  if (tag === 'a') {
+    const href = el.hasAttribute('href') ? safeUrl(el.getAttribute('href'), false) : null;
+    if (href === null) {
+      el.removeAttribute('href');
+    } else {
+      el.setAttribute('href', href);
+      el.setAttribute('target', '_blank');
+      el.setAttribute('rel', 'noopener noreferrer');
+    }
+  } else if (tag === 'img') {
+    const src = el.hasAttribute('src') ? safeUrl(el.getAttribute('src'), true) : null;
+    if (!src) return false;
+    el.setAttribute('src', src);
+    el.setAttribute('loading', 'lazy');
+    el.setAttribute('referrerpolicy', 'no-referrer');
+  } else if (tag === 'input') {
+    // 只保留 GFM 任务列表的只读复选框
+    if ((el.getAttribute('type') || '').toLowerCase() !== 'checkbox') return false;
+    el.setAttribute('disabled', '');
+  }
+  return true;
+}
+
+function sanitizeNode(parent) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === Node.TEXT_NODE) continue;
+    if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); continue; }
+
+    const tag = node.tagName.toLowerCase();
+    if (SANITIZE_DROP.has(tag)) { node.remove(); continue; }
+    sanitizeNode(node);
+    if (!SANITIZE_TAGS.has(tag)) {
+      node.replaceWith(...node.childNodes);
+    } else if (!sanitizeAttrs(node, tag)) {
+      // 不安全的图片退化为 alt 文字，其余直接删除
+      node.replaceWith(tag === 'img' ? (node.getAttribute('alt') || '') : '');
+    }
+  }
+}
+
+/** 净化一段 HTML（在 template 中解析，不会执行脚本或加载资源） */
+function sanitizeHtml(html) {
+  const tpl = document.createElement('template');
+  tpl.innerHTML = html;
+  sanitizeNode(tpl.content);
+  return tpl.innerHTML;
+}
 
+let markedReady = false;
+let highlightCode = true; // 流式渲染中未完成的代码块先不高亮
+
+/** 注册自定义 renderer（marked.use 会叠加扩展，只能调用一次） */
+function setupMarked() {
+  if (markedReady) return;
+  markedReady = true;
   const renderer = new marked.Renderer();
-  renderer.code = function(token) {
-    // marked v9 passes token object
+  renderer.code = function(token, infostring) {
+    // marked v9 传 (code, infostring)，新版本传 token 对象
     const codeStr = typeof token === 'object' ? (token.text || '') : token;
-    const langStr = typeof token === 'object' ? (token.lang || '') : '';
-    if (langStr && typeof hljs !== 'undefined' && hljs.getLanguage(langStr)) {
+    const langStr = (typeof token === 'object' ? (token.lang || '') : (infostring || '')).split(' ')[0];
+    const langClass = langStr ? ' language-' + escapeHtml(langStr) : '';
+    if (!highlightCode || typeof hljs === 'undefined') {
+      return '<pre><code class="hljs' + langClass + '">' + escapeHtml(codeStr) + '</code></pre>';
+    }
+    if (langStr && hljs.getLanguage(langStr)) {
       try {
         const highlighted = hljs.highlight(codeStr, { language: langStr }).value;
-        return '<pre><code class="hljs language-' + escapeHtml(langStr) + '">' + highlighted + '</code></pre>';
+        return '<pre><code class="hljs' + langClass + '">' + highlighted + '</code></pre>';
       } catch (e) { /* fall through */ }
     }
-    const escaped = typeof hljs !== 'undefined' ? hljs.highlightAuto(codeStr).value : escapeHtml(codeStr);
-    return '<pre><code class="hljs">' + escaped + '</code></pre>';
+    return '<pre><code class="hljs">' + hljs.highlightAuto(codeStr).value + '</code></pre>';
   };
-
   marked.use({ renderer, breaks: true, gfm: true });
-  return marked.parse(raw);
+}
+
+/**
+ * Markdown 渲染（含代码高亮），输出经过 sanitizeHtml 净化
+ * @param {object} [opts] - { highlight: false } 时代码块只转义不高亮
+ */
+function renderMarkdown(raw, opts) {
+  if (!raw) return '';
+  if (typeof marked === 'undefined') return '<p>' + escapeHtml(raw) + '</p>';
+  setupMarked();
+  highlightCode = !(opts && opts.highlight === false);
+  try {
+    return sanitizeHtml(marked.parse(raw));
+  } finally {
+    highlightCode = true;
+  }
+}
+
+/* ─── 流式渲染 ──────────────────────────────────────── */
+// 已完成的块渲染一次后固定在 DOM 中（代码块此时才高亮），之后每帧只重绘末尾未完成的块，
+// 长回复不会反复整体解析，已固定部分的文字选择也不会被打断。
+
+/** 围栏代码块是否已闭合（末行是与开头相同的围栏） */
+function isClosedFence(tok) {
+  if (tok.type !== 'code' || tok.codeBlockStyle === 'indented') return false;
+  const lines = tok.raw.trimEnd().split(String.fromCharCode(10));
+  const fence = lines[0].trim().slice(0, 3);
+  return lines.length > 1 && lines[lines.length - 1].trim().indexOf(fence) === 0;
+}
+
+/**
+ * 把 msgObj.content 增量渲染到气泡中
+ * 状态挂在气泡元素上（bub._stream），气泡被重建时自然重新开始。
+ */
+function renderBubbleStream(bub, msgObj) {
+  let st = bub._stream;
+  if (!st || st.frozenEl.parentNode !== bub) {
+    st = bub._stream = { frozenLen: 0, frozenEl: document.createElement('div'), tailEl: document.createElement('div') };
+    bub.innerHTML = '';
+    bub.appendChild(st.frozenEl);
+    bub.appendChild(st.tailEl);
+  }
+
+  let rest = (msgObj.content || '').slice(st.frozenLen);
+  if (rest && typeof marked !== 'undefined') {
+    setupMarked();
+    const tokens = marked.lexer(rest);
+    let last = tokens.length - 1;
+    while (last >= 0 && tokens[last].type === 'space') last--;
+    // 后面已有新块开始的块、已闭合的代码块可以固定；回复结束时全部固定
+    let count = last;
+    if (msgObj.done) count = tokens.length;
+    else if (last >= 0 && isClosedFence(tokens[last])) count = last + 1;
+
+    const raw = tokens.slice(0, Math.max(count, 0)).map(t => t.raw).join('');
+    // 引用式链接定义等不会出现在 token 里，原文对不上时不固定，整体留在末尾渲染
+    if (raw && rest.indexOf(raw) === 0) {
+      st.frozenEl.insertAdjacentHTML('beforeend', renderMarkdown(raw));
+      st.frozenLen += raw.length;
+      rest = rest.slice(raw.length);
+    }
+  }
+
+  st.tailEl.innerHTML = renderMarkdown(rest, { highlight: !!msgObj.done });
+  if (!msgObj.done) st.tailEl.appendChild(makeCursor());
 }
 
 /* ─── 附件处理 ──────────────────────────────────────── */
@@ -1440,8 +2470,8 @@ function setTheme(t) {
   }
   const hl = document.getElementById('hljs-theme');
   hl.href = t === 'dark'
-    ? 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css'
-    : 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css';
+    ? '${vendorUrl('hljs/github-dark.min.css')}'
+    : '${vendorUrl('hljs/github.min.css')}';
   try { localStorage.setItem('oc-theme', t); } catch(e) {}
 }
 
@@ -1488,17 +2518,56 @@ function refreshStatus() {
 
 /* ─── 冲刷待发消息队列 ──────────────────────────── */
 function flushPendingMessages() {
-  const pending = state.pendingMessages.splice(0);
-  pending.forEach(({ obj, msgEl }) => {
-    if (state.ws && state.ws.readyState === WebSocket.OPEN) {
-      state.ws.send(JSON.stringify(obj));
-    }
-    if (msgEl) {
-      msgEl.style.opacity = '';
-      const label = msgEl.querySelector('.pending-label');
-      if (label) label.remove();
-    }
-  });
+  while (state.pendingMessages.length > 0 && state.ws && state.ws.readyState === WebSocket.OPEN) {
+    sendNow(state.pendingMessages.shift());
+  }
+  persistOutbox();
+}
+
+/* ─── 待发队列持久化（刷新页面后继续发送，消息 ID 不变，服务端和 gateway 都按 ID 去重） ── */
+const OC_OUTBOX_KEY = 'oc-outbox';
+const OUTBOX_TYPES = new Set(['session_create', 'send']);
+
+/** 写入 socket；session_create / send 在服务端确认前保留在 unacked 中 */
+function sendNow(obj) {
+  state.ws.send(JSON.stringify(obj));
+  if (OUTBOX_TYPES.has(obj.type)) state.unacked.push(obj);
+}
+
+/**
+ * 服务端已确认：session_create 以该 session 的 session_update 为准，
+ * send 以该消息的 user_message / message_status / error 为准
+ */
+function ackOutbox(type, id) {
+  const before = state.unacked.length;
+  state.unacked = state.unacked.filter(obj => obj.type !== type ||
+    (type === 'send' ? obj.msgId !== id : !obj.session || obj.session.id !== id));
+  if (state.unacked.length !== before) persistOutbox();
+}
+
+/** 连接断开：未确认的消息放回待发队列最前面，重连后按原顺序重发 */
+function requeueUnacked() {
+  if (state.unacked.length === 0) return;
+  state.pendingMessages.unshift(...state.unacked);
+  state.unacked = [];
+}
+
+function persistOutbox() {
+  const outbox = state.unacked.concat(state.pendingMessages.filter(obj => OUTBOX_TYPES.has(obj.type)));
+  try {
+    if (outbox.length > 0) localStorage.setItem(OC_OUTBOX_KEY, JSON.stringify(outbox));
+    else localStorage.removeItem(OC_OUTBOX_KEY);
+  } catch (e) {
+    // 附件过大超出 localStorage 配额时只能保留在内存中
+    console.warn('Failed to persist outbox:', e.message);
+  }
+}
+
+function restoreOutbox() {
+  let outbox = [];
+  try { outbox = JSON.parse(localStorage.getItem(OC_OUTBOX_KEY) || '[]'); } catch (e) {}
+  if (!Array.isArray(outbox)) return;
+  state.pendingMessages.push(...outbox.filter(obj => obj && OUTBOX_TYPES.has(obj.type)));
 }
 
 /* ─── Bug 2 修复：禁用/恢复输入框和发送按钮 ──────── */
@@ -1512,36 +2581,68 @@ function setInputDisabled(disabled) {
 }
 
 /**
- * Bug 2 修复：断连时，对所有正在流式输出（未 done）的 assistant 消息，
+ * Bug 2：断线期间服务端仍在接收 gateway 的流，重连后用 resume 补齐。
+ * 只有服务端也无法补齐时，才把该消息标记为中断，
  * 在消息下方追加灰色提示"回复可能已中断，请重新发送"。
  */
-function markInterruptedStreams() {
-  // 找出当前 session 中所有未完成的 assistant 消息
-  const sess = state.sessions.find(s => s.id === state.currentSessionId);
-  if (!sess) return;
-  sess.messages.forEach(m => {
-    if (m.role === 'assistant' && !m.done) {
-      // 标记为已完成（避免重复提示）
-      m.done = true;
-      // 更新气泡（去除光标）
-      const row = dom.messages.querySelector('[data-msg-id="' + m.id + '"]');
-      if (row) {
-        const bub = row.querySelector('.bubble');
-        if (bub) {
-          bub.innerHTML = renderMarkdown(m.content);
-          // 追加灰色提示
-          const hint = document.createElement('div');
-          hint.style.cssText = 'margin-top:8px;font-size:12px;color:#999;font-style:italic;';
-          hint.textContent = '回复可能已中断，请重新发送';
-          bub.appendChild(hint);
-        }
-      }
+function markInterrupted(sess, m) {
+  // 标记为已完成（避免重复提示）
+  m.done = true;
+  if (isCurrent(sess)) {
+    // 更新气泡（去除光标）
+    const row = dom.messages.querySelector('[data-msg-id="' + m.id + '"]');
+    const bub = row && row.querySelector('.bubble');
+    if (bub) {
+      bub.innerHTML = renderMarkdown(m.content);
+      // 追加灰色提示
+      const hint = document.createElement('div');
+      hint.style.cssText = 'margin-top:8px;font-size:12px;color:#999;font-style:italic;';
+      hint.textContent = '回复可能已中断，请重新发送';
+      bub.appendChild(hint);
     }
-  });
+  }
   // 重置流式状态
-  state.isStreaming = false;
-  state.currentRunId = null;
-  updateSendBtn();
+  setSessionRun(sess, null);
+}
+
+/* ─── 断线续传 ─────────────────────────────────────── */
+const STREAM_EVENT_TYPES = new Set(['lifecycle', 'chunk', 'thinking', 'tool_start', 'tool_update', 'tool_result']);
+
+function findRunMsg(sess, runId) {
+  if (!runId) return null;
+  return sess.messages.find(m => m.role === 'assistant' && m.runId === runId) || null;
+}
+
+/** 重放的事件可能与已收到的重叠，按 seq 去重 */
+function isStaleEvent(msg) {
+  if (typeof msg.seq !== 'number') return false;
+  const sess = findSess(msg.sessionKey, msg.gateway);
+  if (!sess) return false;
+  const m = findRunMsg(sess, msg.runId);
+  if (!m) return false;
+  if (msg.type === 'lifecycle' && msg.phase === 'start') return true;
+  return typeof m.lastSeq === 'number' && msg.seq <= m.lastSeq;
+}
+
+function trackEventSeq(msg) {
+  if (typeof msg.seq !== 'number') return;
+  const sess = findSess(msg.sessionKey, msg.gateway);
+  const m = sess && findRunMsg(sess, msg.runId);
+  if (m) m.lastSeq = Math.max(m.lastSeq || 0, msg.seq);
+}
+
+/** 对未完成的 assistant 消息请求补发（同时重新认领 session） */
+function resumeStreams(sess) {
+  sess.messages.forEach(m => {
+    if (m.role !== 'assistant' || m.done || !m.runId) return;
+    wsSend({
+      type: 'resume',
+      gateway: sess.gatewayIdx,
+      sessionKey: sess.sessionKey,
+      runId: m.runId,
+      lastSeq: m.lastSeq || 0,
+    });
+  });
 }
 
 /* ─── WebSocket 连接（前端 → 后端） ──────────────── */
@@ -1565,19 +2666,20 @@ function connectWS() {
     console.log('[WS] open event fired');
     state.wsConnected = true;
     setStatus('connected', '已连接');
-    // pending 消息在 auth_ok（有密码）或收到 init（无密码）后冲刷
-    // 对于无密码的情况，等收到 init 消息后再标记 authenticated 并冲刷
+    // pending 消息在收到 init（已登录或无密码）后冲刷
 
-    // Bug 2 修复：重连成功，隐藏断连横幅，恢复输入功能（等 init/auth_ok 后再恢复）
+    // Bug 2 修复：重连成功，隐藏断连横幅，恢复输入功能
     setInputDisabled(false);
     dom.disconnectBanner.classList.remove('show');
   });
 
   ws.addEventListener('close', (evt) => {
     console.log('[WS] close event, code=' + evt.code + ' reason=' + evt.reason);
+    if (state.ws !== ws) return; // 登录后被 reconnectWS 替换的旧连接
     state.wsConnected = false;
     state.ws = null;
     state.authenticated = false; // 断线后重置认证状态
+    requeueUnacked();
     const pending = state.pendingMessages.length;
     setStatus('error', pending > 0 ? '连接断开，重连中...' : '连接断开，重连中...');
 
@@ -1585,8 +2687,7 @@ function connectWS() {
     setInputDisabled(true);
     dom.disconnectBanner.classList.add('show');
 
-    // Bug 2 修复：如果有正在进行的 AI 回复（lifecycle start 但未 end），显示中断提示
-    markInterruptedStreams();
+    // Bug 2 修复：正在进行的 AI 回复保持原样，重连后通过 resume 补齐
 
     wsReconnectTimer = setTimeout(connectWS, 3000);
   });
@@ -1609,27 +2710,17 @@ function connectWS() {
 
 /**
  * 向后端发送 JSON。
- * 如果 ws 未连接，将消息放入 pendingMessages 队列并触发重连。
- * @param {object} obj        - 要发送的消息对象
- * @param {HTMLElement} [msgEl] - 对应的用户气泡 DOM 元素（可选，用于半透明状态）
+ * 如果 ws 未连接，将消息放入 pendingMessages 队列（并持久化）后触发重连。
+ * @param {object} obj - 要发送的消息对象
  */
-function wsSend(obj, msgEl) {
+function wsSend(obj) {
   if (state.ws && state.ws.readyState === WebSocket.OPEN) {
-    state.ws.send(JSON.stringify(obj));
+    sendNow(obj);
+    if (OUTBOX_TYPES.has(obj.type)) persistOutbox();
   } else {
     // 入队并触发重连
-    state.pendingMessages.push({ obj, msgEl });
-    if (msgEl) {
-      // 半透明 + 发送中提示
-      msgEl.style.opacity = '0.55';
-      if (!msgEl.querySelector('.pending-label')) {
-        const lbl = document.createElement('span');
-        lbl.className = 'pending-label';
-        lbl.style.cssText = 'font-size:11px;color:rgba(255,255,255,0.75);margin-top:4px;display:block;text-align:right';
-        lbl.textContent = '发送中...';
-        msgEl.appendChild(lbl);
-      }
-    }
+    state.pendingMessages.push(obj);
+    persistOutbox();
     setStatus('connecting', '重连中...');
     connectWS();
   }
@@ -1637,41 +2728,134 @@ function wsSend(obj, msgEl) {
 
 /* ─── 处理后端消息 ─────────────────────────────────── */
 function handleServerMsg(msg) {
+  if (STREAM_EVENT_TYPES.has(msg.type) && isStaleEvent(msg)) return;
+  handleServerMsgType(msg);
+  if (STREAM_EVENT_TYPES.has(msg.type)) trackEventSeq(msg);
+}
+
+function handleServerMsgType(msg) {
   switch (msg.type) {
 
     case 'auth_required':
-      showAuthScreen();
-      break;
-
-    case 'auth_ok':
-      hideAuthScreen();
-      state.authenticated = true;
-      flushPendingMessages();
-      break;
-
-    case 'auth_fail':
-      // 清除可能错误的保存密码
-      try { localStorage.removeItem('oc-password'); } catch(e) {}
-      dom.authScreen.classList.add('show');
-      dom.authError.textContent = '密码错误，请重试';
-      dom.authInput.value = '';
-      setTimeout(() => dom.authInput.focus(), 100);
+      // 未登录 / 登录过期，或服务端撤销了登录（退出、更换密码 / 用户）
+      state.authenticated = false;
+      dom.btnLogout.hidden = true;
+      showAuthScreen(!!msg.users);
       break;
 
     case 'init':
+      hideAuthScreen();
+      state.user = msg.user || null;
+      dom.btnLogout.hidden = !msg.login;
+      applyUserInfo();
       state.gateways = msg.gateways || [];
       buildGatewaySelect();
+      buildAgentSelect();
       // 从 init 消息获取模型列表并渲染
       if (Array.isArray(msg.models) && msg.models.length > 0) {
         availableModels = msg.models;
       }
-      buildModelOptions(availableModels);
-      // 无密码时，收到 init 就表示已认证，冲刷待发队列
+      updateModelsForGateway(parseInt(dom.selGateway.value, 10) || 0);
+      // 收到 init 就表示已认证，冲刷待发队列
+      // （先冲刷再加载 session，保证服务端返回的历史里包含断线期间排队的消息）
       if (!state.authenticated) {
         state.authenticated = true;
         flushPendingMessages();
       }
+      applyServerSessions(msg.sessions);
+      importLegacySessions();
+      break;
+
+    case 'session_update': {
+      const info = msg.session;
+      if (!info || !info.id) break;
+      ackOutbox('session_create', info.id);
+      let sess = state.sessions.find(s => s.id === info.id);
+      if (!sess) {
+        sess = fromServerSession(info);
+        state.sessions.push(sess);
+        subscribeSessions([sess]);
+      } else {
+        sess.title = info.title || sess.title;
+        sess.preview = info.preview || '';
+        sess.settings = info.settings || {};
+        sess.source = info.source || sess.source;
+        sess.agentId = info.agentId || sess.agentId;
+        sess.pendingCreate = false;
+      }
+      renderSessList();
+      if (isCurrent(sess)) {
+        setTopbarTitle(sess.title);
+        showSessionModel();
+        showSessionLevels();
+      }
+      break;
+    }
+
+    case 'session_deleted':
+      removeLocalSession(msg.id);
+      break;
+
+    case 'user_message': {
+      // 其他标签页/设备在同一 session 中发出的消息；自己发的按 ID 去重，并作为"服务器已收到"的确认
+      const sess = findSess(msg.sessionKey, msg.gateway);
+      const m = msg.message;
+      if (m && m.id) ackOutbox('send', m.id);
+      if (!sess || !sess.loaded || !m) break;
+      const own = m.id && sess.messages.find(x => x.id === m.id);
+      if (own) {
+        if (own.status === 'pending' && m.status) setUserMsgStatus(own, m.status);
+        break;
+      }
+      const record = { id: m.id, role: 'user', content: m.content || '', attachments: m.attachments || [], status: m.status || null };
+      sess.messages.push(record);
+      if (isCurrent(sess)) {
+        if (dom.emptyState.parentNode === dom.messages) dom.messages.removeChild(dom.emptyState);
+        dom.messages.appendChild(makeUserBubble(record));
+        scrollToBottom();
+      }
+      updateSessTitle(sess);
+      renderSessList();
+      break;
+    }
+
+    case 'session_messages': {
+      const sess = state.sessions.find(s => s.id === msg.id);
+      if (!sess) break;
+      sess.messages = (msg.messages || []).map(fromServerMessage);
+      sess.loaded = true;
+      sess.historyOffset = 0;
+      sess.historyMore = sess.source === 'gateway';
+      if (isCurrent(sess)) renderMessages(sess);
+      renderSessList();
+      // 刚从 gateway 打开、服务端还没有消息：直接加载第一页历史
+      if (sess.historyMore && sess.messages.length === 0) loadHistory(sess);
+      // 续传失败后重新加载：服务端也没有这条回复，说明确实中断了
+      if (sess.interruptedRunId && !findRunMsg(sess, sess.interruptedRunId)) {
+        addSysMsg(sess, '回复可能已中断，请重新发送');
+        sess.interruptedRunId = null;
+      }
+      resumeStreams(sess);
+      break;
+    }
+
+    case 'resume_result': {
+      const sess = findSess(msg.sessionKey, msg.gateway);
+      if (!sess || msg.ok) break;
+      const m = findRunMsg(sess, msg.runId);
+      if (!m || m.done) break;
+      if (sess.interruptedRunId === msg.runId) {
+        // 已经重新加载过一次仍无法补齐
+        sess.interruptedRunId = null;
+        markInterrupted(sess, m);
+      } else {
+        // 缓冲区已过期：以服务端存储为准重新加载
+        sess.interruptedRunId = msg.runId;
+        sess.loaded = false;
+        loadSessionMessages(sess);
+      }
       break;
+    }
 
     case 'status':
       if (state.gateways[msg.gateway] !== undefined) {
@@ -1680,24 +2864,36 @@ function handleServerMsg(msg) {
       refreshGatewayStatus();
       break;
 
+    case 'models':
+      // gateway 握手（含重连）后刷新的模型列表
+      if (state.gateways[msg.gateway] === undefined) break;
+      state.gateways[msg.gateway].models = msg.models;
+      if ((parseInt(dom.selGateway.value, 10) || 0) === msg.gateway) updateModelsForGateway(msg.gateway);
+      break;
+
+    case 'agents':
+      // gateway 握手（含重连）后刷新的 agent 列表
+      if (state.gateways[msg.gateway] === undefined) break;
+      state.gateways[msg.gateway].agents = msg.agents;
+      if ((parseInt(dom.selGateway.value, 10) || 0) === msg.gateway) buildAgentSelect();
+      break;
+
     case 'lifecycle': {
       const sess = findSess(msg.sessionKey, msg.gateway);
       if (!sess) break;
+      // 运行状态按 session 记录（消息未加载的 session 也要在侧边栏显示"生成中"）
+      setSessionRun(sess, msg.phase === 'start' ? (msg.runId || '') : null);
+      if (!sess.loaded) break;
 
       if (msg.phase === 'start') {
-        state.currentRunId = msg.runId;
-        state.isStreaming = true;
-        updateSendBtn();
-        // 创建 AI 消息占位符
-        const m = { id: 'msg_' + Date.now(), role: 'assistant',
-                    content: '', thinking: '', tools: [], done: false };
+        // 创建 AI 消息占位符（ID 与服务端存储一致）
+        const m = { id: msg.msgId || ('msg_' + Date.now()), role: 'assistant',
+                    content: '', thinking: '', tools: [], done: false,
+                    runId: msg.runId, lastSeq: msg.seq, model: msg.model || null };
         sess.messages.push(m);
         if (isCurrent(sess)) appendAssistantRow(m);
       } else {
         // end | error | cancelled
-        state.isStreaming = false;
-        state.currentRunId = null;
-        updateSendBtn();
         finalizeLastMsg(sess);
 
         if (msg.phase === 'error') {
@@ -1711,18 +2907,18 @@ function handleServerMsg(msg) {
 
     case 'chunk': {
       const sess = findSess(msg.sessionKey, msg.gateway);
-      if (!sess) break;
+      if (!sess || !sess.loaded) break;
       const m = lastAsstMsg(sess);
       if (!m) break;
       m.content += msg.text;
-      if (isCurrent(sess)) updateBubbleStream(m);
+      if (isCurrent(sess)) scheduleBubbleStream(m);
       updateSessTitle(sess);
       break;
     }
 
     case 'thinking': {
       const sess = findSess(msg.sessionKey, msg.gateway);
-      if (!sess) break;
+      if (!sess || !sess.loaded) break;
       const m = lastAsstMsg(sess);
       if (!m) break;
       m.thinking += msg.text;
@@ -1732,31 +2928,115 @@ function handleServerMsg(msg) {
 
     case 'tool_start': {
       const sess = findSess(msg.sessionKey, msg.gateway);
-      if (!sess) break;
+      if (!sess || !sess.loaded) break;
       const m = lastAsstMsg(sess);
       if (!m) break;
-      const tool = { id: 'tool_' + Date.now(), name: msg.name, args: msg.args, result: null };
+      const tool = {
+        id: msg.toolCallId || ('tool_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6)),
+        name: msg.name, args: msg.args, result: null, status: 'running',
+      };
       m.tools.push(tool);
       if (isCurrent(sess)) addToolBlock(m, tool);
       break;
     }
 
+    case 'tool_update': {
+      const sess = findSess(msg.sessionKey, msg.gateway);
+      if (!sess || !sess.loaded) break;
+      const m = lastAsstMsg(sess);
+      const tool = m && findToolCall(m.tools, msg);
+      if (!tool || msg.partial === undefined) break;
+      tool.progress = msg.partial;
+      if (isCurrent(sess)) updateToolResult(m, tool);
+      break;
+    }
+
     case 'tool_result': {
       const sess = findSess(msg.sessionKey, msg.gateway);
-      if (!sess) break;
+      if (!sess || !sess.loaded) break;
       const m = lastAsstMsg(sess);
-      if (!m) break;
-      const tool = [...m.tools].reverse().find(t => t.name === msg.name && t.result === null);
-      if (tool) {
-        tool.result = msg.result;
-        if (isCurrent(sess)) updateToolResult(m, tool);
+      const tool = m && findToolCall(m.tools, msg);
+      if (!tool) break;
+      tool.result = msg.result === undefined ? null : msg.result;
+      tool.status = msg.isError ? 'error' : 'done';
+      delete tool.progress;
+      if (isCurrent(sess)) updateToolResult(m, tool);
+      break;
+    }
+
+    case 'chat_message': {
+      // 其他渠道 / 其他 WebUI 实例在同一 session 中的消息（服务端已去重，这里再按 ID 防重复）
+      const sess = findSess(msg.sessionKey, msg.gateway);
+      if (!sess || !sess.loaded || !msg.message) break;
+      if (sess.messages.some(x => x.id === msg.message.id)) break;
+      const m = fromServerMessage(msg.message);
+      sess.messages.push(m);
+      if (isCurrent(sess)) {
+        if (dom.emptyState.parentNode === dom.messages) dom.messages.removeChild(dom.emptyState);
+        dom.messages.appendChild(m.role === 'user' ? makeUserBubble(m) : makeAssistantRow(m));
+        scrollToBottom();
       }
+      updateSessTitle(sess);
+      renderSessList();
+      break;
+    }
+
+    case 'gateway_sessions':
+      renderGatewaySessions(msg);
+      break;
+
+    case 'cron_jobs':
+      if (msg.gateway !== cronState.gateway) break;
+      cronState.jobs = msg.jobs || [];
+      cronState.loaded = !msg.error;
+      renderCronJobs(msg.error);
+      break;
+
+    case 'cron_event':
+      applyCronEvent(msg);
+      break;
+
+    case 'session_opened':
+      switchSession(msg.id);
+      break;
+
+    case 'session_history': {
+      // 从 gateway 分页加载的更早消息，插到最前面并保持滚动位置
+      const sess = state.sessions.find(s => s.id === msg.id);
+      if (!sess || !sess.loaded) break;
+      sess.historyLoading = false;
+      sess.historyError = msg.error || null;
+      const older = (msg.messages || []).map(fromServerMessage);
+      sess.messages = older.concat(sess.messages);
+      sess.historyOffset = msg.offset;
+      sess.historyMore = !!msg.hasMore;
+      if (isCurrent(sess)) renderMessages(sess, { keepScroll: true });
+      break;
+    }
+
+    case 'message_status': {
+      // 用户消息送达状态：sent（服务端已记录，重发时）/ delivered（gateway 已接受）
+      ackOutbox('send', msg.msgId);
+      const sess = findSess(msg.sessionKey, msg.gateway);
+      const m = sess && sess.loaded && sess.messages.find(x => x.id === msg.msgId && x.role === 'user');
+      if (m) setUserMsgStatus(m, msg.status);
       break;
     }
 
-    case 'error':
-      setStatus('error', '错误: ' + msg.message);
+    case 'error': {
+      // 带 sessionKey 的是该 session 的请求失败（如 agent 请求被拒绝），显示在会话里
+      if (msg.msgId) ackOutbox('send', msg.msgId); // 服务端已记录该消息，重试由用户决定
+      const sess = msg.sessionKey ? findSess(msg.sessionKey, msg.gateway) : null;
+      if (!sess) {
+        setStatus('error', '错误: ' + msg.message);
+        break;
+      }
+      if (!sess.loaded) break;
+      const failed = msg.msgId && sess.messages.find(m => m.id === msg.msgId && m.role === 'user');
+      if (failed) setUserMsgError(failed, { code: msg.code || null, message: msg.message || '' });
+      else addSysMsg(sess, '错误: ' + (msg.message || '未知错误'));
       break;
+    }
   }
 }
 
@@ -1785,6 +3065,56 @@ function refreshGatewayStatus() {
 
 dom.selGateway.addEventListener('change', () => {
   refreshGatewayStatus();
+  updateModelsForGateway(parseInt(dom.selGateway.value, 10) || 0);
+  buildAgentSelect();
+});
+
+/* ─── Agent 下拉框 ───────────────────────────────── */
+/** session 所属的 agent（旧 session 没有记录时为 gateway 的默认 agent） */
+function sessionAgent(sess) {
+  const gw = state.gateways[sess.gatewayIdx];
+  return sess.agentId || (gw && gw.defaultAgent) || 'main';
+}
+
+/**
+ * 本地 sessionKey：默认 agent 的 session 不带前缀，其他 agent 的带 agent:<agentId>: 前缀
+ * （与后端 GatewayClient.localSessionKey 一致）
+ */
+function agentSessionKey(gwIdx, agentId, key) {
+  const gw = state.gateways[gwIdx];
+  return !agentId || (gw && gw.defaultAgent === agentId) ? key : 'agent:' + agentId + ':' + key;
+}
+
+/** 列出当前 gateway 的 agent，选中当前会话的 agent；只有一个 agent 时隐藏 */
+function buildAgentSelect() {
+  const gwIdx = parseInt(dom.selGateway.value, 10) || 0;
+  const gw = state.gateways[gwIdx];
+  const agents = (gw && gw.agents) || [];
+  const sess = state.sessions.find(s => s.id === state.currentSessionId);
+  const current = sess && sess.gatewayIdx === gwIdx ? sessionAgent(sess) : (dom.selAgent.value || (gw && gw.defaultAgent));
+  dom.selAgent.innerHTML = '';
+  agents.forEach(a => {
+    const opt = document.createElement('option');
+    opt.value = a.id;
+    opt.textContent = a.name || a.id;
+    dom.selAgent.appendChild(opt);
+  });
+  // 会话的 agent 已不在列表中时仍然显示
+  if (current && !agents.some(a => a.id === current)) {
+    const opt = document.createElement('option');
+    opt.value = current;
+    opt.textContent = current;
+    dom.selAgent.appendChild(opt);
+  }
+  if (current) dom.selAgent.value = current;
+  dom.selAgent.hidden = dom.selAgent.options.length <= 1;
+}
+
+/** 选择其他 agent：session 固定属于一个 agent，因此新建一个该 agent 的会话 */
+dom.selAgent.addEventListener('change', () => {
+  const sess = state.sessions.find(s => s.id === state.currentSessionId);
+  if (sess && sessionAgent(sess) === dom.selAgent.value) return;
+  createSession();
 });
 
 /* ─── 自定义模型下拉框 ──────────────────────────── */
@@ -1797,14 +3127,74 @@ function renderModelOptions(filterText) {
   });
 }
 
-function selectModel(value, label) {
-  state.currentModel = value;
-  dom.modelLabel.textContent = label;
-  // 更新 selected 样式
+/** 切换当前会话的模型（经 sessions.patch 应用到 gateway，并随会话保存） */
+function selectModel(value) {
+  closeModelDropdown();
+  let sess = state.sessions.find(s => s.id === state.currentSessionId);
+  if (!sess) sess = createSession();
+  if (sess.settings.model === value) return;
+  // 先在界面上切换；服务端应用失败时会发来原来的 session_update 恢复
+  sess.settings = { ...sess.settings, model: value };
+  showSessionModel();
+  wsSend({
+    type: 'session_settings',
+    gateway: sess.gatewayIdx,
+    sessionKey: sess.sessionKey,
+    sessionId: sess.id,
+    settings: { model: value },
+  });
+}
+
+/** 顶部模型选择器显示当前会话的模型（未设置时为 gateway 默认模型） */
+function showSessionModel() {
+  const sess = state.sessions.find(s => s.id === state.currentSessionId);
+  const value = sess && sess.settings && sess.settings.model;
+  dom.modelLabel.textContent = value ? modelLabelOf(value) : '默认模型';
   dom.modelOptions.querySelectorAll('.model-option').forEach(el => {
-    el.classList.toggle('selected', el.dataset.value === value);
+    el.classList.toggle('selected', !!value && el.dataset.value === value);
   });
-  closeModelDropdown();
+}
+
+/** 模型 value → 显示名（在各 gateway 的模型列表和 config 列表中查找） */
+function modelLabelOf(value) {
+  const lists = state.gateways.map(gw => gw.models || []).concat([availableModels]);
+  for (const list of lists) {
+    const found = list.find(m => m.value === value);
+    if (found) return found.label;
+  }
+  return value;
+}
+
+/* ─── 思考过程 / 工具事件级别 ──────────────────── */
+const LEVEL_SELECTS = { reasoningLevel: dom.selReasoning, verboseLevel: dom.selVerbose };
+
+/** 级别下拉框显示当前会话的设置（空值为“默认”，即沿用 gateway 的默认级别） */
+function showSessionLevels() {
+  const sess = state.sessions.find(s => s.id === state.currentSessionId);
+  for (const [key, sel] of Object.entries(LEVEL_SELECTS)) {
+    sel.value = (sess && sess.settings && sess.settings[key]) || '';
+  }
+}
+
+function selectLevel(key, value) {
+  let sess = state.sessions.find(s => s.id === state.currentSessionId);
+  if (!sess) sess = createSession();
+  const settings = { ...sess.settings };
+  if (value) settings[key] = value;
+  else delete settings[key];
+  sess.settings = settings;
+  showSessionLevels();
+  wsSend({
+    type: 'session_levels',
+    gateway: sess.gatewayIdx,
+    sessionKey: sess.sessionKey,
+    sessionId: sess.id,
+    levels: { [key]: value || null },
+  });
+}
+
+for (const [key, sel] of Object.entries(LEVEL_SELECTS)) {
+  sel.addEventListener('change', () => selectLevel(key, sel.value));
 }
 
 function openModelDropdown() {
@@ -1819,7 +3209,6 @@ function closeModelDropdown() {
 }
 
 function buildModelOptions(models) {
-  const prevValue = state.currentModel;
   dom.modelOptions.innerHTML = '';
   models.forEach(m => {
     const el = document.createElement('div');
@@ -1827,32 +3216,10 @@ function buildModelOptions(models) {
     el.dataset.value = m.value;
     el.dataset.label = m.label;
     el.textContent = m.label;
-    if (m.value === prevValue) el.classList.add('selected');
-    el.addEventListener('click', () => {
-      selectModel(m.value, m.label);
-      // 发送切换模型命令
-      const sess = state.sessions.find(s => s.id === state.currentSessionId);
-      if (sess) {
-        wsSend({
-          type: 'send',
-          gateway: sess.gatewayIdx,
-          sessionKey: sess.sessionKey,
-          message: '/model ' + state.currentModel,
-        });
-      }
-    });
+    el.addEventListener('click', () => selectModel(m.value));
     dom.modelOptions.appendChild(el);
   });
-
-  // 选中当前模型（或第一个）
-  const found = models.find(m => m.value === prevValue);
-  if (found) {
-    dom.modelLabel.textContent = found.label;
-  } else if (models.length > 0) {
-    state.currentModel = models[0].value;
-    dom.modelLabel.textContent = models[0].label;
-    dom.modelOptions.querySelector('.model-option')?.classList.add('selected');
-  }
+  showSessionModel();
 }
 
 // 事件绑定
@@ -1876,122 +3243,219 @@ document.addEventListener('click', e => {
 });
 
 function updateModelsForGateway(gwIdx) {
-  // gwIdx 参数保留以兼容调用方，但模型列表现在来自 availableModels
-  if (availableModels.length > 0) {
-    buildModelOptions(availableModels);
-  }
+  const gw = state.gateways[gwIdx];
+  const models = gw && Array.isArray(gw.models) && gw.models.length > 0 ? gw.models : availableModels;
+  buildModelOptions(models);
 }
 
-/* ─── 密码认证 UI ────────────────────────────── */
-function showAuthScreen() {
+/* ─── 登录 UI ────────────────────────────────── */
+// 登录状态保存在服务端签发的 HttpOnly cookie 中，浏览器只记住用户名
+try { localStorage.removeItem('oc-password'); } catch(e) {} // 旧版本保存的明文密码
+
+/** @param {boolean} users - 多用户模式（需要用户名） */
+function showAuthScreen(users) {
+  state.authUsers = users;
   dom.authError.textContent = '';
-  // 尝试从 localStorage 读取保存的密码并自动验证（静默）
+  dom.authUser.hidden = !users;
+  dom.authSubtitle.textContent = users ? '请输入用户名和密码' : '请输入访问密码';
   try {
-    const saved = localStorage.getItem('oc-password');
-    if (saved && state.ws && state.ws.readyState === WebSocket.OPEN) {
-      // 先静默发送，不显示界面；如果失败再显示
-      state.ws.send(JSON.stringify({ type: 'auth', password: saved }));
-      return; // 等待 auth_ok 或 auth_fail 响应
-    }
+    if (!dom.authUser.value) dom.authUser.value = localStorage.getItem('oc-username') || '';
   } catch(e) {}
-  // 没有保存的密码，显示界面
   dom.authScreen.classList.add('show');
-  setTimeout(() => dom.authInput.focus(), 100);
+  setTimeout(() => (users && !dom.authUser.value ? dom.authUser : dom.authInput).focus(), 100);
+}
+
+/** 多用户模式：侧栏底部显示当前用户；定时任务只对管理员显示 */
+function applyUserInfo() {
+  dom.sidebarUser.hidden = !state.user;
+  dom.sidebarUser.textContent = state.user ? '当前用户: ' + state.user.name + (state.user.admin ? '（管理员）' : '') : '';
+  dom.btnCron.hidden = !!state.user && !state.user.admin;
 }
 
 function hideAuthScreen() {
   dom.authScreen.classList.remove('show');
 }
 
+/** POST /login 换取登录 cookie，成功后重新连接（cookie 在 WS 握手时校验） */
 function submitAuth() {
+  const username = dom.authUser.value.trim();
   const pwd = dom.authInput.value;
+  if (state.authUsers && !username) { dom.authError.textContent = '请输入用户名'; return; }
   if (!pwd) { dom.authError.textContent = '请输入密码'; return; }
   dom.authError.textContent = '';
-  // 保存密码到 localStorage
-  try { localStorage.setItem('oc-password', pwd); } catch(e) {}
-  if (state.ws && state.ws.readyState === WebSocket.OPEN) {
-    state.ws.send(JSON.stringify({ type: 'auth', password: pwd }));
-  }
+  dom.authBtn.disabled = true;
+  fetch('/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: state.authUsers ? username : undefined, password: pwd }),
+  }).then(res => {
+    if (!res.ok) {
+      const retryAfter = parseInt(res.headers.get('Retry-After'), 10) || 0;
+      dom.authError.textContent = res.status === 401
+        ? (state.authUsers ? '用户名或密码错误，请重试' : '密码错误，请重试')
+        : res.status === 429
+          ? '尝试次数过多，请在 ' + (retryAfter >= 120 ? Math.ceil(retryAfter / 60) + ' 分钟' : retryAfter + ' 秒') + '后再试'
+          : '登录失败（HTTP ' + res.status + '）';
+      dom.authInput.value = '';
+      dom.authInput.focus();
+      return;
+    }
+    dom.authInput.value = '';
+    try { if (state.authUsers) localStorage.setItem('oc-username', username); } catch(e) {}
+    reconnectWS();
+  }).catch(() => {
+    dom.authError.textContent = '网络错误，请重试';
+  }).then(() => {
+    dom.authBtn.disabled = false;
+  });
+}
+
+/** 丢弃当前连接并立即重连（登录后带上新 cookie） */
+function reconnectWS() {
+  const old = state.ws;
+  state.ws = null;
+  if (old) old.close();
+  connectWS();
+}
+
+/** 撤销服务端的登录；服务端随后向本浏览器的所有连接发送 auth_required */
+function logout() {
+  fetch('/logout', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })
+    .catch(() => alert('退出失败，请检查网络连接'));
 }
 
 dom.authBtn.addEventListener('click', submitAuth);
 dom.authInput.addEventListener('keydown', e => {
   if (e.key === 'Enter') submitAuth();
 });
+dom.authUser.addEventListener('keydown', e => {
+  if (e.key === 'Enter') dom.authInput.focus();
+});
 
-/* ─── Session 持久化 ─────────────────────────── */
-const OC_SESSIONS_KEY = 'oc-sessions';
+/* ─── Session 同步（服务端存储） ─────────────────── */
+const OC_LEGACY_SESSIONS_KEY = 'oc-sessions'; // 旧版浏览器本地历史，连接后导入服务端
 const OC_CURRENT_KEY = 'oc-current-session';
 
-/** 把 sessions 序列化为纯数据后存入 localStorage（节流：只在消息完成时调用） */
-function persistSessions() {
-  try {
-    const data = state.sessions.map(sess => ({
-      id: sess.id,
-      title: sess.title,
-      gatewayIdx: sess.gatewayIdx,
-      sessionKey: sess.sessionKey,
-      messages: sess.messages.map(m => ({
-        id: m.id,
-        role: m.role,
-        content: m.content || '',
-        thinking: m.thinking || '',
-        tools: (m.tools || []).map(t => ({
-          id: t.id,
-          name: t.name,
-          args: t.args,
-          result: t.result,
-        })),
-        done: m.done !== false, // 持久化时标记为已完成
-        // 附件：只存 mimeType 和 data（base64），不存 File 对象
-        attachments: (m.attachments || []).map(att => ({
-          filename: att.filename,
-          mimeType: att.mimeType,
-          data: att.data,
-          size: att.size,
-        })),
-      })),
-    }));
-    localStorage.setItem(OC_SESSIONS_KEY, JSON.stringify(data));
-    if (state.currentSessionId) {
-      localStorage.setItem(OC_CURRENT_KEY, state.currentSessionId);
-    }
-  } catch(e) {
-    console.warn('Failed to persist sessions:', e);
+function fromServerSession(info) {
+  return {
+    id: info.id,
+    title: info.title || '新会话',
+    gatewayIdx: info.gatewayIdx || 0,
+    sessionKey: info.sessionKey,
+    agentId: info.agentId || null,
+    owner: info.owner || null,
+    settings: info.settings || {},
+    source: info.source || 'webui',
+    preview: info.preview || '',
+    messages: [],
+    loaded: false,
+    historyOffset: 0,                     // 已从 gateway 加载的历史条数
+    historyMore: info.source === 'gateway', // 还有更早的 gateway 历史可加载
+    streaming: !!info.runId,
+    runId: info.runId || null,
+  };
+}
+
+function fromServerMessage(m) {
+  return {
+    id: m.id || ('msg_' + Date.now() + '_' + Math.random().toString(36).slice(2)),
+    role: m.role,
+    content: m.content || '',
+    thinking: m.thinking || '',
+    tools: m.tools || [],
+    done: m.done !== false,
+    attachments: m.attachments || [],
+    runId: m.runId,
+    lastSeq: m.lastSeq,
+    model: m.model || null,
+    status: m.status || null,
+    error: m.error || null,
+  };
+}
+
+/**
+ * 用 init 中的 session 列表重建 state.sessions。
+ * 消息按需通过 load_session 拉取；本地新建但服务端尚未确认的 session 保留。
+ */
+function applyServerSessions(list) {
+  const previous = state.sessions;
+  state.sessions = (list || []).map(info => {
+    // 重连时保留已加载的消息，未完成的回复随后通过 resume 续传
+    const old = previous.find(s => s.id === info.id);
+    if (!old || !old.loaded) return fromServerSession(info);
+    old.title = info.title || old.title;
+    old.preview = info.preview || '';
+    old.settings = info.settings || {};
+    old.source = info.source || old.source;
+    old.agentId = info.agentId || old.agentId;
+    old.owner = info.owner || null;
+    old.pendingCreate = false;
+    old.streaming = !!info.runId;
+    old.runId = info.runId || null;
+    return old;
+  });
+  previous.filter(s => s.pendingCreate).forEach(s => {
+    if (!state.sessions.some(x => x.id === s.id)) state.sessions.push(s);
+  });
+
+  let current = state.currentSessionId;
+  if (!current) {
+    try { current = localStorage.getItem(OC_CURRENT_KEY); } catch(e) {}
+  }
+  if (!state.sessions.some(s => s.id === current)) {
+    current = state.sessions.length > 0 ? state.sessions[state.sessions.length - 1].id : null;
   }
+  renderSessList();
+  if (current) {
+    switchSession(current);
+  } else {
+    state.currentSessionId = null;
+    showEmptyState();
+  }
+  subscribeSessions(state.sessions);
+  state.sessions.forEach(s => { if (s.loaded) resumeStreams(s); });
+}
+
+/** 让服务端把这些 session 的流式事件发给本连接（每次 init 后重新登记） */
+function subscribeSessions(list) {
+  if (list.length === 0) return;
+  wsSend({
+    type: 'subscribe',
+    sessions: list.map(s => ({ gateway: s.gatewayIdx, sessionKey: s.sessionKey })),
+  });
+}
+
+function unsubscribeSession(sess) {
+  wsSend({ type: 'unsubscribe', sessions: [{ gateway: sess.gatewayIdx, sessionKey: sess.sessionKey }] });
 }
 
-/** 从 localStorage 恢复 sessions */
-function restoreSessions() {
+/** 把旧版 localStorage 里的历史一次性导入服务端 */
+function importLegacySessions() {
+  let data = null;
   try {
-    const raw = localStorage.getItem(OC_SESSIONS_KEY);
-    if (!raw) return;
-    const data = JSON.parse(raw);
-    if (!Array.isArray(data)) return;
-    state.sessions = data.map(sess => ({
-      id: sess.id,
-      title: sess.title || '新会话',
-      gatewayIdx: sess.gatewayIdx || 0,
-      sessionKey: sess.sessionKey,
-      messages: (sess.messages || []).map(m => ({
-        id: m.id || ('msg_' + Date.now() + '_' + Math.random().toString(36).slice(2)),
-        role: m.role,
-        content: m.content || '',
-        thinking: m.thinking || '',
-        tools: m.tools || [],
-        done: m.done !== false,
-        attachments: m.attachments || [],
-      })),
-    }));
-    const savedCurrent = localStorage.getItem(OC_CURRENT_KEY);
-    if (savedCurrent && state.sessions.some(s => s.id === savedCurrent)) {
-      state.currentSessionId = savedCurrent;
-    } else if (state.sessions.length > 0) {
-      state.currentSessionId = state.sessions[state.sessions.length - 1].id;
-    }
+    const raw = localStorage.getItem(OC_LEGACY_SESSIONS_KEY);
+    if (raw) data = JSON.parse(raw);
   } catch(e) {
-    console.warn('Failed to restore sessions:', e);
+    console.warn('Failed to read legacy sessions:', e);
   }
+  if (!Array.isArray(data) || data.length === 0) return;
+  wsSend({ type: 'session_import', sessions: data });
+  try { localStorage.removeItem(OC_LEGACY_SESSIONS_KEY); } catch(e) {}
+}
+
+/** 请求服务端发送某个 session 的完整消息 */
+function loadSessionMessages(sess) {
+  wsSend({ type: 'load_session', id: sess.id });
+}
+
+function showEmptyState() {
+  dom.messages.innerHTML = '';
+  dom.messages.appendChild(dom.emptyState);
+}
+
+function setTopbarTitle(text) {
+  const titleEl = document.getElementById('topbar-title');
+  if (titleEl) titleEl.textContent = text;
 }
 
 /** 清空所有会话 */
@@ -1999,62 +3463,84 @@ function clearAllSessions() {
   if (!confirm('确定清空所有会话记录？此操作不可撤销。')) return;
   state.sessions = [];
   state.currentSessionId = null;
-  try {
-    localStorage.removeItem(OC_SESSIONS_KEY);
-    localStorage.removeItem(OC_CURRENT_KEY);
-  } catch(e) {}
-  dom.messages.innerHTML = '';
-  dom.messages.appendChild(dom.emptyState);
+  try { localStorage.removeItem(OC_CURRENT_KEY); } catch(e) {}
+  wsSend({ type: 'session_clear' });
+  showEmptyState();
   renderSessList();
 }
 
 dom.btnClearSessions.addEventListener('click', clearAllSessions);
+dom.btnLogout.addEventListener('click', logout);
 
 /* ─── Session 管理 ──────────────────────────────── */
 function createSession() {
   const gwIdx = parseInt(dom.selGateway.value, 10) || 0;
+  const gw = state.gateways[gwIdx];
+  const agentId = dom.selAgent.value || (gw && gw.defaultAgent) || null;
   const id = genId();
+  // 多用户模式：sessionKey 带用户命名空间（服务端对普通用户强制加上）
+  const ns = state.user ? 'user:' + state.user.name + ':' : '';
   const sess = {
     id,
     title: '新会话',
     gatewayIdx: gwIdx,
-    sessionKey: 'webui:' + id,
+    sessionKey: agentSessionKey(gwIdx, agentId, ns + 'webui:' + id),
+    agentId,
+    settings: {},
+    preview: '',
     messages: [],
+    loaded: true,
+    pendingCreate: true, // 等服务端 session_update 确认
   };
   state.sessions.push(sess);
   renderSessList();
   switchSession(id);
   // 新建会话时更新顶部标题
-  const titleEl = document.getElementById('topbar-title');
-  if (titleEl) titleEl.textContent = '新会话';
-  persistSessions();
+  setTopbarTitle('新会话');
+  wsSend({
+    type: 'session_create',
+    session: { id, title: sess.title, gatewayIdx: gwIdx, sessionKey: sess.sessionKey },
+  });
+  subscribeSessions([sess]);
   return sess;
 }
 
 function deleteSession(id) {
+  if (!removeLocalSession(id)) return;
+  wsSend({ type: 'session_delete', id });
+}
+
+/** 仅从本地状态移除（服务端删除通知也走这里） */
+function removeLocalSession(id) {
   const idx = state.sessions.findIndex(s => s.id === id);
-  if (idx === -1) return;
+  if (idx === -1) return false;
+  unsubscribeSession(state.sessions[idx]);
   state.sessions.splice(idx, 1);
   if (state.currentSessionId === id) {
     state.currentSessionId = null;
-    dom.messages.innerHTML = '';
-    dom.messages.appendChild(dom.emptyState);
+    showEmptyState();
+    setTopbarTitle('选择或新建会话');
+    updateSendBtn();
   }
   renderSessList();
-  persistSessions();
+  return true;
 }
 
 function switchSession(id) {
   state.currentSessionId = id;
   renderSessList();
+  updateSendBtn();
   const sess = state.sessions.find(s => s.id === id);
   if (!sess) return;
   dom.selGateway.value = sess.gatewayIdx;
+  updateModelsForGateway(sess.gatewayIdx);
+  buildAgentSelect();
+  showSessionLevels();
   renderMessages(sess);
+  if (!sess.loaded) loadSessionMessages(sess);
   closeSidebar();
   // 更新顶部标题
-  const titleEl = document.getElementById('topbar-title');
-  if (titleEl) titleEl.textContent = sess.title || '新会话';
+  setTopbarTitle(sess.title || '新会话');
   try { localStorage.setItem(OC_CURRENT_KEY, id); } catch(e) {}
 }
 
@@ -2064,6 +3550,22 @@ function findSess(sessionKey, gwIdx) {
 
 function isCurrent(sess) { return state.currentSessionId === sess.id; }
 
+/** 记录 session 的运行状态（runId 为 null 表示空闲），刷新侧边栏和当前会话的发送按钮 */
+function setSessionRun(sess, runId) {
+  const streaming = runId !== null;
+  if (sess.streaming === streaming && sess.runId === runId) return;
+  sess.streaming = streaming;
+  sess.runId = runId;
+  renderSessList();
+  if (isCurrent(sess)) updateSendBtn();
+}
+
+/** 按 toolCallId 找到工具调用；没有 ID 时退回到同名且未完成的最后一个 */
+function findToolCall(tools, msg) {
+  if (msg.toolCallId) return tools.find(t => t.id === msg.toolCallId) || null;
+  return [...tools].reverse().find(t => t.name === msg.name && t.result === null) || null;
+}
+
 function lastAsstMsg(sess) {
   for (let i = sess.messages.length - 1; i >= 0; i--) {
     if (sess.messages[i].role === 'assistant' && !sess.messages[i].done) return sess.messages[i];
@@ -2081,11 +3583,7 @@ function updateSessTitle(sess) {
     sess.title = titleText;
     renderSessList();
     // 更新顶部标题
-    if (isCurrent(sess)) {
-      const titleEl = document.getElementById('topbar-title');
-      if (titleEl) titleEl.textContent = titleText;
-    }
-    persistSessions();
+    if (isCurrent(sess)) setTopbarTitle(titleText);
   }
 }
 
@@ -2093,7 +3591,7 @@ function renderSessList() {
   dom.sessionList.innerHTML = '';
   [...state.sessions].reverse().forEach(sess => {
     const item = document.createElement('div');
-    item.className = 'session-item' + (sess.id === state.currentSessionId ? ' active' : '');
+    item.className = 'session-item' + (sess.id === state.currentSessionId ? ' active' : '') + (sess.streaming ? ' streaming' : '');
 
     // 头像
     const avatarEl = document.createElement('div');
@@ -2109,13 +3607,18 @@ function renderSessList() {
     const subEl = document.createElement('div');
     subEl.className = 'session-subtitle';
     // 显示最后一条消息预览
+    // （消息尚未加载时使用服务端给的 preview）
     const lastMsg = [...sess.messages].reverse().find(m => m.role === 'user' || m.role === 'assistant');
-    if (lastMsg) {
-      const preview = (lastMsg.content || '').split(String.fromCharCode(10)).join(' ').split(String.fromCharCode(13)).join(' ').trim();
+    if (sess.streaming) {
+      subEl.textContent = '正在生成…';
+    } else if (lastMsg || sess.preview) {
+      const preview = (lastMsg ? (lastMsg.content || '') : sess.preview).split(String.fromCharCode(10)).join(' ').split(String.fromCharCode(13)).join(' ').trim();
       subEl.textContent = preview ? preview.slice(0, 30) + (preview.length > 30 ? '…' : '') : '[无内容]';
     } else {
       subEl.textContent = (state.gateways[sess.gatewayIdx] || {}).name || ('Gateway ' + sess.gatewayIdx);
     }
+    // 管理员能看到其他用户的 session，标出所属用户
+    if (state.user && sess.owner && sess.owner !== state.user.name) subEl.textContent = sess.owner + ' · ' + subEl.textContent;
     info.appendChild(titleEl);
     info.appendChild(subEl);
 
@@ -2137,23 +3640,248 @@ function renderSessList() {
 }
 
 /* ─── 渲染消息列表 ──────────────────────────────── */
-function renderMessages(sess) {
+/** @param {object} [opts] - { keepScroll: 在顶部插入历史后保持当前可见位置 } */
+function renderMessages(sess, { keepScroll = false } = {}) {
+  const prevHeight = dom.messages.scrollHeight;
+  const prevTop = dom.messages.scrollTop;
   dom.messages.innerHTML = '';
+  if (sess.historyMore) dom.messages.appendChild(makeHistoryButton(sess));
   if (sess.messages.length === 0) {
     dom.messages.appendChild(dom.emptyState);
     return;
   }
   sess.messages.forEach(m => {
-    if (m.role === 'user') dom.messages.appendChild(makeUserBubble(m.content, m.attachments));
+    if (m.role === 'user') dom.messages.appendChild(makeUserBubble(m));
     else if (m.role === 'assistant') dom.messages.appendChild(makeAssistantRow(m));
     else if (m.role === 'system') dom.messages.appendChild(makeSysBubble(m.content));
   });
-  scrollToBottom();
+  if (keepScroll) dom.messages.scrollTop = dom.messages.scrollHeight - prevHeight + prevTop;
+  else scrollToBottom();
+}
+
+/** 消息列表顶部的"加载更早的消息"（从 gateway 打开的 session） */
+function makeHistoryButton(sess) {
+  const btn = document.createElement('button');
+  btn.className = 'load-history';
+  btn.textContent = sess.historyLoading ? '加载中…' : (sess.historyError ? '加载失败，点击重试' : '加载更早的消息');
+  if (sess.historyError) btn.title = sess.historyError;
+  btn.addEventListener('click', () => {
+    loadHistory(sess);
+    btn.textContent = '加载中…';
+  });
+  return btn;
+}
+
+function loadHistory(sess) {
+  if (sess.historyLoading) return;
+  sess.historyLoading = true;
+  wsSend({ type: 'load_history', id: sess.id, offset: sess.historyOffset });
+}
+
+/* ─── 侧边栏面板切换 ─────────────────────────────── */
+/** 侧边栏同时只显示会话列表、Gateway 会话浏览、定时任务其中之一 */
+function showSidebarView(view) {
+  [dom.sessionList, dom.gwBrowser, dom.cronPanel].forEach(el => { el.hidden = el !== view; });
+}
+
+function panelNote(text) {
+  const note = document.createElement('div');
+  note.className = 'sidebar-panel-note';
+  note.textContent = text;
+  return note;
+}
+
+function gatewayName(gwIdx) {
+  const gw = state.gateways[gwIdx];
+  return (gw && gw.name) || ('Gateway ' + gwIdx);
+}
+
+/** 选中 agent 的显示名（gateway 只有一个 agent 时为空） */
+function selectedAgentLabel() {
+  if (dom.selAgent.hidden || dom.selAgent.selectedIndex < 0) return '';
+  return dom.selAgent.options[dom.selAgent.selectedIndex].textContent;
+}
+
+/* ─── Gateway 会话浏览 ──────────────────────────── */
+function openGatewayBrowser() {
+  const gwIdx = parseInt(dom.selGateway.value, 10) || 0;
+  const agentLabel = selectedAgentLabel();
+  dom.gwBrowserTitle.textContent = gatewayName(gwIdx) + (agentLabel ? ' / ' + agentLabel : '') + ' 的会话';
+  dom.gwBrowserList.innerHTML = '';
+  dom.gwBrowserList.appendChild(panelNote('加载中…'));
+  showSidebarView(dom.gwBrowser);
+  wsSend({ type: 'gateway_sessions', gateway: gwIdx, agentId: dom.selAgent.value || null });
+}
+
+function closeGatewayBrowser() {
+  showSidebarView(dom.sessionList);
+}
+
+function renderGatewaySessions(msg) {
+  if (dom.gwBrowser.hidden) return;
+  dom.gwBrowserList.innerHTML = '';
+  const list = msg.sessions || [];
+  if (msg.error || list.length === 0) {
+    dom.gwBrowserList.appendChild(panelNote(msg.error ? '获取失败: ' + msg.error : '没有会话'));
+    return;
+  }
+  list.forEach(item => {
+    const el = document.createElement('div');
+    el.className = 'session-item';
+    const info = document.createElement('div');
+    info.className = 'session-info';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'session-title';
+    titleEl.textContent = item.title;
+    const subEl = document.createElement('div');
+    subEl.className = 'session-subtitle';
+    subEl.textContent = item.sessionKey
+      + (item.updatedAt ? ' · ' + new Date(item.updatedAt).toLocaleString() : '')
+      + (item.sessionId ? ' · 已打开' : '');
+    info.appendChild(titleEl);
+    info.appendChild(subEl);
+    el.appendChild(info);
+    el.addEventListener('click', () => {
+      closeGatewayBrowser();
+      if (item.sessionId && state.sessions.some(s => s.id === item.sessionId)) {
+        switchSession(item.sessionId);
+        return;
+      }
+      wsSend({ type: 'session_open', gateway: msg.gateway, sessionKey: item.sessionKey, title: item.title });
+    });
+    dom.gwBrowserList.appendChild(el);
+  });
+}
+
+dom.btnBrowseGateway.addEventListener('click', () => {
+  if (dom.gwBrowser.hidden) openGatewayBrowser();
+  else closeGatewayBrowser();
+});
+dom.btnGwBrowserBack.addEventListener('click', closeGatewayBrowser);
+
+/* ─── 定时任务面板 ───────────────────────────────── */
+// 当前面板显示的 gateway 及其任务列表；cron_event 到来时就地更新
+const cronState = { gateway: null, jobs: [], loaded: false };
+const CRON_STATUS_LABELS = { ok: '成功', error: '失败', skipped: '跳过' };
+
+function openCronPanel() {
+  const gwIdx = parseInt(dom.selGateway.value, 10) || 0;
+  cronState.gateway = gwIdx;
+  cronState.jobs = [];
+  cronState.loaded = false;
+  dom.cronTitle.textContent = gatewayName(gwIdx) + ' 的定时任务';
+  showSidebarView(dom.cronPanel);
+  renderCronJobs();
+  wsSend({ type: 'cron_list', gateway: gwIdx });
+}
+
+function closeCronPanel() {
+  cronState.gateway = null;
+  showSidebarView(dom.sessionList);
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : '—';
+}
+
+function formatCronSchedule(schedule) {
+  if (!schedule) return '—';
+  if (schedule.kind === 'cron') return schedule.expr + (schedule.tz ? ' (' + schedule.tz + ')' : '');
+  if (schedule.kind === 'every') {
+    const min = Math.round((schedule.everyMs || 0) / 60000);
+    return min >= 60 && min % 60 === 0 ? '每 ' + (min / 60) + ' 小时' : '每 ' + min + ' 分钟';
+  }
+  if (schedule.kind === 'at') return '一次: ' + formatTime(schedule.atMs);
+  return schedule.kind || '—';
+}
+
+function renderCronJobs(error) {
+  dom.cronList.innerHTML = '';
+  if (error) { dom.cronList.appendChild(panelNote('获取失败: ' + error)); return; }
+  if (!cronState.loaded) { dom.cronList.appendChild(panelNote('加载中…')); return; }
+  if (cronState.jobs.length === 0) { dom.cronList.appendChild(panelNote('没有定时任务')); return; }
+  cronState.jobs.forEach(job => {
+    const el = document.createElement('div');
+    el.className = 'cron-item' + (job.enabled ? '' : ' disabled');
+    const line = (text, cls) => {
+      const d = document.createElement('div');
+      d.className = cls || 'cron-line';
+      d.textContent = text;
+      el.appendChild(d);
+      return d;
+    };
+    line(job.name + (job.enabled ? '' : '（已暂停）'), 'cron-name');
+    line('计划: ' + formatCronSchedule(job.schedule));
+    line('下次: ' + (job.enabled ? formatTime(job.nextRunAt) : '—'));
+    const last = line('上次: ' + formatTime(job.lastRunAt));
+    if (job.runningAt) {
+      last.appendChild(document.createTextNode(' · '));
+      const st = document.createElement('span');
+      st.className = 'cron-status-running';
+      st.textContent = '运行中';
+      last.appendChild(st);
+    } else if (job.lastStatus) {
+      last.appendChild(document.createTextNode(' · '));
+      const st = document.createElement('span');
+      st.className = 'cron-status-' + job.lastStatus;
+      st.textContent = CRON_STATUS_LABELS[job.lastStatus] || job.lastStatus;
+      last.appendChild(st);
+    }
+    if (job.lastError) line(job.lastError, 'cron-line cron-error');
+
+    const actions = document.createElement('div');
+    actions.className = 'cron-actions';
+    const action = (label, name, cls) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      if (cls) btn.className = cls;
+      btn.addEventListener('click', () => {
+        if (name === 'delete' && !confirm('删除定时任务「' + job.name + '」？')) return;
+        wsSend({ type: 'cron_action', gateway: cronState.gateway, jobId: job.id, action: name });
+      });
+      actions.appendChild(btn);
+    };
+    action('立即运行', 'run');
+    action(job.enabled ? '暂停' : '启用', job.enabled ? 'pause' : 'resume');
+    action('删除', 'delete', 'danger');
+    el.appendChild(actions);
+    dom.cronList.appendChild(el);
+  });
+}
+
+/** gateway 的 cron 事件：开始/结束只更新该任务，增删改重新拉取列表 */
+function applyCronEvent(msg) {
+  if (msg.gateway !== cronState.gateway || !cronState.loaded) return;
+  const job = cronState.jobs.find(j => j.id === msg.jobId);
+  if (msg.action === 'started' && job) {
+    job.runningAt = msg.runAt || Date.now();
+  } else if (msg.action === 'finished' && job) {
+    job.runningAt = null;
+    job.lastRunAt = msg.runAt || Date.now();
+    job.lastStatus = msg.status || null;
+    job.lastError = msg.error || null;
+    if (msg.nextRunAt) job.nextRunAt = msg.nextRunAt;
+  } else if (msg.action === 'removed') {
+    cronState.jobs = cronState.jobs.filter(j => j.id !== msg.jobId);
+  } else {
+    wsSend({ type: 'cron_list', gateway: cronState.gateway });
+    return;
+  }
+  renderCronJobs();
 }
 
-function makeUserBubble(text, attachments) {
+dom.btnCron.addEventListener('click', () => {
+  if (dom.cronPanel.hidden) openCronPanel();
+  else closeCronPanel();
+});
+dom.btnCronBack.addEventListener('click', closeCronPanel);
+
+function makeUserBubble(msgObj) {
+  const text = msgObj.content;
+  const attachments = msgObj.attachments;
   const row = document.createElement('div');
   row.className = 'msg-row user';
+  if (msgObj.id) row.dataset.msgId = msgObj.id;
 
   // 用户头像（右侧）
   const avatar = document.createElement('div');
@@ -2204,9 +3932,83 @@ function makeUserBubble(text, attachments) {
   wrap.appendChild(withArrow);
   row.appendChild(wrap);
   row.appendChild(avatar);
+  applyUserMsgState(row, msgObj);
   return row;
 }
 
+function findUserRow(msgObj) {
+  return dom.messages.querySelector('.msg-row.user[data-msg-id="' + msgObj.id + '"]');
+}
+
+/** 更新用户消息的送达状态：pending（本地待发）/ sent / delivered / failed */
+function setUserMsgStatus(msgObj, status) {
+  msgObj.status = status;
+  if (status !== 'failed') msgObj.error = null;
+  const row = findUserRow(msgObj);
+  if (row) applyUserMsgState(row, msgObj);
+}
+
+/** 标记/清除用户消息的发送失败状态（error 为 null 时清除） */
+function setUserMsgError(msgObj, error) {
+  msgObj.error = error;
+  if (error) msgObj.status = 'failed';
+  const row = findUserRow(msgObj);
+  if (row) applyUserMsgState(row, msgObj);
+}
+
+const MSG_STATUS_LABELS = {
+  pending:   { text: '发送中…', title: '等待发送到服务器' },
+  sent:      { text: '✓',      title: '服务器已收到' },
+  delivered: { text: '✓✓',     title: 'Gateway 已接受' },
+};
+
+/** 在用户气泡下方显示送达状态，失败时显示原因和重试按钮 */
+function applyUserMsgState(row, msgObj) {
+  const wrap = row.querySelector('.bubble-wrap');
+  wrap.querySelectorAll('.msg-error, .msg-status').forEach(el => el.remove());
+  row.classList.toggle('failed', !!msgObj.error);
+  row.classList.toggle('pending', msgObj.status === 'pending');
+  if (!msgObj.error) {
+    const label = MSG_STATUS_LABELS[msgObj.status];
+    if (!label) return;
+    const el = document.createElement('div');
+    el.className = 'msg-status';
+    el.textContent = label.text;
+    el.title = label.title;
+    wrap.appendChild(el);
+    return;
+  }
+
+  const el = document.createElement('div');
+  el.className = 'msg-error';
+  const text = document.createElement('span');
+  text.textContent = '发送失败: ' + (msgObj.error.message || '未知错误') + (msgObj.error.code ? ' (' + msgObj.error.code + ')' : '');
+  const btn = document.createElement('button');
+  btn.className = 'btn-retry';
+  btn.textContent = '重试';
+  btn.addEventListener('click', () => retryMessage(msgObj));
+  el.appendChild(text);
+  el.appendChild(btn);
+  wrap.appendChild(el);
+}
+
+/** 重新发送失败的用户消息（沿用原消息 ID，服务端不会重复记录，gateway 按 idempotencyKey 去重） */
+function retryMessage(msgObj) {
+  const sess = state.sessions.find(s => s.messages.includes(msgObj));
+  if (!sess || sess.streaming) return;
+  setUserMsgStatus(msgObj, 'pending');
+  const sendObj = {
+    type: 'send',
+    gateway: sess.gatewayIdx,
+    sessionKey: sess.sessionKey,
+    sessionId: sess.id,
+    msgId: msgObj.id,
+    message: msgObj.content,
+  };
+  if (msgObj.attachments && msgObj.attachments.length > 0) sendObj.attachments = msgObj.attachments;
+  wsSend(sendObj);
+}
+
 function makeAssistantRow(msgObj) {
   const row = document.createElement('div');
   row.className = 'msg-row assistant';
@@ -2236,14 +4038,20 @@ function makeAssistantRow(msgObj) {
 
   const bub = document.createElement('div');
   bub.className = 'bubble';
-  bub.innerHTML = renderMarkdown(msgObj.content);
-  if (!msgObj.done) {
-    bub.appendChild(makeCursor());
-  }
+  if (msgObj.done) bub.innerHTML = renderMarkdown(msgObj.content);
+  else renderBubbleStream(bub, msgObj);
 
   withArrow.appendChild(arrow);
   withArrow.appendChild(bub);
   wrap.appendChild(withArrow);
+
+  // 生成这条回复所用的模型
+  if (msgObj.model) {
+    const modelEl = document.createElement('div');
+    modelEl.className = 'msg-model';
+    modelEl.textContent = modelLabelOf(msgObj.model);
+    wrap.appendChild(modelEl);
+  }
   row.appendChild(avatar);
   row.appendChild(wrap);
   return row;
@@ -2333,12 +4141,17 @@ function makeToolBlock(tool) {
   const lbl = document.createElement('span');
   lbl.textContent = tool.name;
 
+  // 运行状态（运行中 / 失败）
+  const statusEl = document.createElement('span');
+  statusEl.className = 'tool-status';
+
   const arr = document.createElement('span');
   arr.className = 'collapsible-arrow';
   arr.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"/></svg>';
 
   hdr.appendChild(icon);
   hdr.appendChild(lbl);
+  hdr.appendChild(statusEl);
   hdr.appendChild(arr);
   hdr.addEventListener('click', () => el.classList.toggle('open'));
 
@@ -2358,7 +4171,6 @@ function makeToolBlock(tool) {
   const resPre = document.createElement('pre');
   resPre.className = 'tool-result';
   resPre.style.cssText = 'margin:0;font-size:11px;white-space:pre-wrap;word-break:break-all;background:var(--bg3);padding:6px 8px;border-radius:4px';
-  resPre.textContent = tool.result !== null ? JSON.stringify(tool.result, null, 2) : '等待结果...';
 
   body.appendChild(argsLabel);
   body.appendChild(argsPre);
@@ -2366,9 +4178,27 @@ function makeToolBlock(tool) {
   body.appendChild(resPre);
   el.appendChild(hdr);
   el.appendChild(body);
+  applyToolState(el, tool);
   return el;
 }
 
+/** 按工具调用的状态刷新折叠块：状态标记、错误样式、结果/进度 */
+function applyToolState(el, tool) {
+  // 旧记录没有 status 字段，按是否有结果推断
+  const status = tool.status || (tool.result !== null ? 'done' : 'running');
+  el.classList.toggle('tool-running', status === 'running');
+  el.classList.toggle('tool-error', status === 'error');
+  el.querySelector('.tool-status').textContent = status === 'running' ? '运行中' : (status === 'error' ? '失败' : '');
+  const resPre = el.querySelector('.tool-result');
+  if (tool.result !== null) {
+    resPre.textContent = JSON.stringify(tool.result, null, 2);
+  } else if (tool.progress !== undefined) {
+    resPre.textContent = typeof tool.progress === 'string' ? tool.progress : JSON.stringify(tool.progress, null, 2);
+  } else {
+    resPre.textContent = status === 'running' ? '等待结果...' : '(无)';
+  }
+}
+
 /* ─── 流式更新 DOM ──────────────────────────────── */
 function appendAssistantRow(msgObj) {
   // 移除空状态
@@ -2379,16 +4209,32 @@ function appendAssistantRow(msgObj) {
   scrollToBottom();
 }
 
-function updateBubbleStream(msgObj) {
+function findBubble(msgObj) {
   const row = dom.messages.querySelector('[data-msg-id="' + msgObj.id + '"]');
-  if (!row) return;
-  const bub = row.querySelector('.bubble');
+  return row ? row.querySelector('.bubble') : null;
+}
+
+/** 立即重绘（回复结束、补发完成时） */
+function updateBubbleStream(msgObj) {
+  const bub = findBubble(msgObj);
   if (!bub) return;
-  bub.innerHTML = renderMarkdown(msgObj.content);
-  if (!msgObj.done) bub.appendChild(makeCursor());
+  renderBubbleStream(bub, msgObj);
   scrollToBottom();
 }
 
+/** chunk 到达时调用：同一帧内的多个 chunk 合并为一次重绘 */
+function scheduleBubbleStream(msgObj) {
+  const bub = findBubble(msgObj);
+  if (!bub || bub._renderQueued) return;
+  bub._renderQueued = true;
+  requestAnimationFrame(() => {
+    bub._renderQueued = false;
+    if (!bub.isConnected) return;
+    renderBubbleStream(bub, msgObj);
+    scrollToBottom();
+  });
+}
+
 function updateThinkingBlock(msgObj) {
   const row = dom.messages.querySelector('[data-msg-id="' + msgObj.id + '"]');
   if (!row) return;
@@ -2416,10 +4262,9 @@ function addToolBlock(msgObj, tool) {
 function updateToolResult(msgObj, tool) {
   const row = dom.messages.querySelector('[data-msg-id="' + msgObj.id + '"]');
   if (!row) return;
-  const toolEl = row.querySelector('[data-tool-id="' + tool.id + '"]');
-  if (!toolEl) return;
-  const resPre = toolEl.querySelector('.tool-result');
-  if (resPre) resPre.textContent = tool.result !== null ? JSON.stringify(tool.result, null, 2) : '';
+  // toolCallId 来自 gateway，不拼进选择器
+  const toolEl = Array.from(row.querySelectorAll('[data-tool-id]')).find(el => el.dataset.toolId === tool.id);
+  if (toolEl) applyToolState(toolEl, tool);
 }
 
 function finalizeLastMsg(sess) {
@@ -2427,8 +4272,6 @@ function finalizeLastMsg(sess) {
   if (!m) return;
   m.done = true;
   if (isCurrent(sess)) updateBubbleStream(m);
-  // 消息完成时保存
-  persistSessions();
 }
 
 function addSysMsg(sess, text) {
@@ -2437,12 +4280,13 @@ function addSysMsg(sess, text) {
     dom.messages.appendChild(makeSysBubble(text));
     scrollToBottom();
   }
-  persistSessions();
 }
 
 /* ─── 发送消息 ──────────────────────────────────── */
+/** 发送/取消按钮只反映当前会话的运行状态 */
 function updateSendBtn() {
-  if (state.isStreaming) {
+  const sess = state.sessions.find(s => s.id === state.currentSessionId);
+  if (sess && sess.streaming) {
     dom.btnSend.classList.add('cancel');
     dom.btnSend.title = '取消';
     dom.btnSend.innerHTML = '<svg viewBox="0 0 24 24"><rect x="5" y="5" width="14" height="14" fill="white"/></svg>';
@@ -2454,10 +4298,10 @@ function updateSendBtn() {
 }
 
 function sendMessage() {
-  if (state.isStreaming) {
-    // 取消当前运行
-    const sess = state.sessions.find(s => s.id === state.currentSessionId);
-    if (sess) wsSend({ type: 'cancel', gateway: sess.gatewayIdx, sessionKey: sess.sessionKey });
+  const current = state.sessions.find(s => s.id === state.currentSessionId);
+  if (current && current.streaming) {
+    // 取消当前会话的运行
+    wsSend({ type: 'cancel', gateway: current.gatewayIdx, sessionKey: current.sessionKey });
     return;
   }
 
@@ -2480,24 +4324,26 @@ function sendMessage() {
   // 异步处理（转 Base64）后再发送
   buildAttachmentsFromFiles(pendingAttachments).then(attachments => {
     // 本地追加用户消息（含附件数据，用于气泡显示）
-    const msgRecord = { role: 'user', content: text, attachments };
+    // 消息 ID 由前端生成，同时作为 gateway 的 idempotencyKey
+    const msgRecord = { id: 'msg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7), role: 'user', content: text, attachments, status: 'pending' };
     sess.messages.push(msgRecord);
     if (dom.emptyState.parentNode === dom.messages) dom.messages.removeChild(dom.emptyState);
-    const userRow = makeUserBubble(text, attachments);
+    const userRow = makeUserBubble(msgRecord);
     dom.messages.appendChild(userRow);
     scrollToBottom();
     updateSessTitle(sess);
-    persistSessions();
 
-    // 发送到后端（断线时入队，userRow 用于半透明状态显示）
+    // 发送到后端（断线时入队，刷新页面后仍会发送）
     const sendObj = {
       type: 'send',
       gateway: sess.gatewayIdx,
       sessionKey: sess.sessionKey,
+      sessionId: sess.id,
+      msgId: msgRecord.id,
       message: text,
     };
     if (attachments.length > 0) sendObj.attachments = attachments;
-    wsSend(sendObj, userRow);
+    wsSend(sendObj);
   }).catch(err => {
     console.error('Failed to read attachments:', err);
     alert('读取附件失败: ' + err.message);
@@ -2525,16 +4371,8 @@ dom.btnNewSession.addEventListener('click', createSession);
   try { savedTheme = localStorage.getItem('oc-theme') || 'dark'; } catch(e) {}
   setTheme(savedTheme);
 
-  // 恢复 sessions
-  restoreSessions();
-  renderSessList();
-
-  // 渲染当前 session（如果有）
-  if (state.currentSessionId) {
-    const sess = state.sessions.find(s => s.id === state.currentSessionId);
-    if (sess) renderMessages(sess);
-  }
-
+  // session 列表与历史由服务端在 init 中下发；上次未发出的消息在连接后补发
+  restoreOutbox();
   connectWS();
 })();
 <\/script>
@@ -2545,7 +4383,139 @@ dom.btnNewSession.addEventListener('click', createSession);
 // ─────────────────────────────────────────────
 // 3. HTTP 服务器
 // ─────────────────────────────────────────────
-const HTML_PAGE = getHtmlPage(); // 缓存 HTML 字符串
+
+// 前端依赖由本服务从 node_modules 提供（/vendor/...），离线内网也能正常渲染
+const VENDOR_ASSETS = {
+  'marked.min.js': {
+    pkg: 'marked', file: 'marked.min.js', type: 'application/javascript; charset=utf-8',
+    cdn: 'https://cdnjs.cloudflare.com/ajax/libs/marked/9.1.6/marked.min.js',
+  },
+  'highlight.min.js': {
+    pkg: '@highlightjs/cdn-assets', file: 'highlight.min.js', type: 'application/javascript; charset=utf-8',
+    cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js',
+  },
+  'hljs/github-dark.min.css': {
+    pkg: '@highlightjs/cdn-assets', file: 'styles/github-dark.min.css', type: 'text/css; charset=utf-8',
+    cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css',
+  },
+  'hljs/github.min.css': {
+    pkg: '@highlightjs/cdn-assets', file: 'styles/github.min.css', type: 'text/css; charset=utf-8',
+    cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css',
+  },
+};
+
+function resolveVendorFile(pkg, file) {
+  try {
+    return path.join(path.dirname(require.resolve(pkg + '/package.json')), file);
+  } catch (e) {
+    return path.join(__dirname, 'node_modules', pkg, file);
+  }
+}
+
+/** 启动时读入内存并计算 ETag */
+function loadVendorAssets() {
+  for (const [name, asset] of Object.entries(VENDOR_ASSETS)) {
+    try {
+      asset.body = fs.readFileSync(resolveVendorFile(asset.pkg, asset.file));
+      asset.etag = crypto.createHash('sha1').update(asset.body).digest('hex').slice(0, 16);
+    } catch (e) {
+      console.warn(`[Assets] ${name} not found (${e.code || e.message}), ` +
+        (CDN_FALLBACK ? 'falling back to CDN' : 'run "npm install" or set "cdnFallback": true'));
+    }
+  }
+}
+loadVendorAssets();
+
+/** 页面中引用的资源地址：带内容哈希，可以长期缓存 */
+function vendorUrl(name) {
+  const asset = VENDOR_ASSETS[name];
+  if (!asset.body && CDN_FALLBACK) return asset.cdn;
+  return '/vendor/' + name + (asset.etag ? '?v=' + asset.etag : '');
+}
+
+function serveVendorAsset(req, res) {
+  const name = req.url.split('?')[0].slice('/vendor/'.length);
+  const asset = Object.prototype.hasOwnProperty.call(VENDOR_ASSETS, name) ? VENDOR_ASSETS[name] : null;
+  if (!asset || !asset.body) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+  const etag = '"' + asset.etag + '"';
+  const headers = {
+    'Content-Type': asset.type,
+    'ETag': etag,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+  };
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, { ...headers, 'Content-Length': asset.body.length });
+  res.end(req.method === 'HEAD' ? undefined : asset.body);
+}
+
+let HTML_PAGE = getHtmlPage(); // 缓存 HTML 字符串（cdnFallback 变更时重新生成）
+
+/** 以 JSON 响应 */
+function sendJson(res, status, obj) {
+  const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+  if (status === 413) headers.Connection = 'close'; // 请求体没有读完，回复后关闭连接
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(obj));
+}
+
+/**
+ * 读取并解析 JSON 请求体（必须是对象，空请求体视为 {}）
+ * @returns {Promise<object>} 解析失败、不是对象或超过 limit 时 reject（err.status 为建议的 HTTP 状态码）
+ */
+function readJsonBody(req, limit = 25 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (size > limit) return; // 已超限：丢弃剩余数据，不断开连接，让调用方的 413 能送达
+      size += chunk.length;
+      if (size > limit) {
+        const err = new Error('Request body too large');
+        err.status = 413;
+        chunks.length = 0;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) return;
+      if (size === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (e) {
+        const err = new Error('Invalid JSON body');
+        err.status = 400;
+        return reject(err);
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        const err = new Error('JSON body must be an object');
+        err.status = 400;
+        return reject(err);
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/** 调用异步请求处理函数；未捕获的异常回复 500，单个请求出错不会让进程退出 */
+function runHandler(handler, req, res) {
+  handler(req, res).catch((err) => {
+    console.error('[HTTP] Unhandled error on', req.method, req.url, err);
+    if (!res.headersSent) sendJson(res, 500, { error: { message: 'Internal server error' } });
+    else res.end();
+  });
+}
 
 const httpServer = http.createServer((req, res) => {
   if (req.url === '/health') {
@@ -2553,6 +4523,22 @@ const httpServer = http.createServer((req, res) => {
     res.end(JSON.stringify({ ok: true, port: PORT }));
     return;
   }
+  if (req.url.startsWith('/v1/')) {
+    runHandler(handleOpenAIRequest, req, res);
+    return;
+  }
+  if (req.url.startsWith('/api/')) {
+    runHandler(handleRestRequest, req, res);
+    return;
+  }
+  if (req.url.startsWith('/vendor/')) {
+    serveVendorAsset(req, res);
+    return;
+  }
+  if (req.url === '/login' || req.url === '/logout') {
+    runHandler(handleLoginRequest, req, res);
+    return;
+  }
   // 所有路径都返回内嵌 HTML
   res.writeHead(200, {
     'Content-Type': 'text/html; charset=utf-8',
@@ -2564,16 +4550,79 @@ const httpServer = http.createServer((req, res) => {
 // ─────────────────────────────────────────────
 // 4. 前端 WebSocket 服务器
 // ─────────────────────────────────────────────
-const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+const wss = new WebSocketServer({ server: httpServer, path: '/ws', verifyClient: verifyFrontendOrigin });
+
+/**
+ * 拒绝跨站页面发起的 WebSocket 连接（防止 CSWSH）：浏览器总会带上 Origin，
+ * 其主机必须与请求的 Host 相同，或在 config 的 allowedOrigins 中；没有 Origin 的非浏览器客户端不受限制
+ */
+function verifyFrontendOrigin(info, callback) {
+  const origin = info.req.headers.origin;
+  if (origin === undefined) return callback(true);
+  const normalized = normalizeOrigin(origin);
+  const host = String(info.req.headers.host || '').toLowerCase();
+  if (normalized && (new URL(normalized).host === host || ALLOWED_ORIGINS.has(normalized))) return callback(true);
+  console.warn('[Frontend] Rejected WebSocket from', clientIp(info.req), 'origin=' + origin, 'host=' + (info.req.headers.host || ''));
+  callback(false, 403, 'Forbidden');
+}
 
 // ─────────────────────────────────────────────
 // 5. GatewayClient — 管理单个 Gateway 的 WS 连接
 //    负责: 自动重连、JSON-RPC 协议转换、消息回调
 // ─────────────────────────────────────────────
+const GATEWAY_REQUEST_TIMEOUT = 30000; // 等待 res 帧的默认超时 ms
+
+/** 请求失败的错误对象；code 为 gateway 返回的错误码，或 TIMEOUT / DISCONNECTED / NOT_CONNECTED */
+function gatewayError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+/**
+ * chat 事件里的 message.content（字符串或内容块数组）拆成文本、思考过程和图片附件
+ * @returns {{ text: string, thinking: string, attachments: object[] }}
+ */
+function chatMessageParts(content) {
+  if (typeof content === 'string') return { text: content, thinking: '', attachments: [] };
+  const text = [];
+  const thinking = [];
+  const attachments = [];
+  for (const block of Array.isArray(content) ? content : []) {
+    if (!block) continue;
+    if (block.type === 'text' && block.text) text.push(block.text);
+    else if (block.type === 'thinking' && block.thinking) thinking.push(block.thinking);
+    else if (block.type === 'image' && block.source && block.source.type === 'base64') {
+      attachments.push({ filename: 'image', mimeType: block.source.media_type, data: block.source.data });
+    }
+  }
+  return { text: text.join('\n'), thinking: thinking.join('\n'), attachments };
+}
+
+/**
+ * gateway 的 cron 任务（cron.list 的 jobs 项）转换为前端使用的格式
+ * @returns {{ id, name, enabled, schedule, nextRunAt, lastRunAt, lastStatus, lastError, runningAt }}
+ */
+function cronJobSummary(job) {
+  const st = job.state || {};
+  return {
+    id: job.id,
+    name: job.name || job.id,
+    enabled: job.enabled !== false,
+    schedule: job.schedule || null,       // { kind: 'cron', expr, tz } | { kind: 'every', everyMs } | { kind: 'at', atMs }
+    nextRunAt: st.nextRunAtMs || null,
+    lastRunAt: st.lastRunAtMs || null,
+    lastStatus: st.lastStatus || null,    // ok | error | skipped
+    lastError: st.lastError || null,
+    runningAt: st.runningAtMs || null,
+  };
+}
+
 class GatewayClient {
   /**
    * @param {number} idx            - gateway 在 config 数组中的索引
-   * @param {object} cfg            - { name, url, token, agentId }
+   * @param {object} cfg            - { name, url, token, agentId, agents? }
    * @param {Function} onMsg        - (msg) => void, 收到 gateway 消息时回调前端
    * @param {Function} onStatus     - (connected: boolean) => void, 连接状态变化
    */
@@ -2587,10 +4636,14 @@ class GatewayClient {
     this.reconnectTimer = null;
     this.reconnectDelay = 2000; // 初始退避延迟 ms
 
-    /** Map<reqId, { sessionKey }> - 追踪 agent 请求 */
+    /** Map<reqId, { method, sessionKey, context, resolve, reject, timer }> - 等待 res 帧的请求 */
     this.pendingReqs = new Map();
     /** Map<sessionKey, runId> - 当前运行 ID（用于取消） */
     this.runIds = new Map();
+    /** gateway 提供的模型列表 [{ value, label }]，每次握手成功后刷新；未获取到时为 null */
+    this.models = null;
+    /** gateway 上的 agent 列表 [{ id, name }]，每次握手成功后刷新；未获取到时为 null（使用 config 的 agents） */
+    this.agents = null;
     this.connect();
   }
 
@@ -2663,6 +4716,8 @@ class GatewayClient {
           this.connected = true;
           this.reconnectDelay = 2000;
           this.onStatus(true);
+          this.fetchModels();
+          this.fetchAgents();
         } else {
           console.error(`[Gateway ${this.idx}] Handshake failed:`, JSON.stringify(frame.error));
           try { this.ws.close(); } catch {}
@@ -2681,6 +4736,8 @@ class GatewayClient {
       this.connected = false;
       this.ready = false;
       this.ws = null;
+      this.rejectPending('DISCONNECTED', 'Gateway disconnected');
+      this.interruptRuns();
       this.onStatus(false);
       this.scheduleReconnect();
     });
@@ -2715,18 +4772,70 @@ class GatewayClient {
     return this.sendFrame(frame);
   }
 
+  /**
+   * 发送请求并等待匹配的 res 帧
+   * @param {string} method
+   * @param {object} [params]
+   * @param {object} [opts]
+   * @param {number} [opts.timeout]    - 超时 ms，默认 GATEWAY_REQUEST_TIMEOUT
+   * @param {string} [opts.sessionKey] - 请求所属 session；失败时向该 session 发 error 事件
+   * @param {object} [opts.context]    - 附加到 error 事件上的字段（如 { msgId }）
+   * @returns {Promise<object>} res 帧的 payload；失败时 reject gatewayError
+   */
+  request(method, params = {}, { timeout = GATEWAY_REQUEST_TIMEOUT, sessionKey = null, context = null } = {}) {
+    const reqId = method.replace(/\W/g, '_') + '_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+    return new Promise((resolve, reject) => {
+      const pending = { method, sessionKey, context, resolve, reject, timer: null };
+      if (!this.sendBusinessFrame({ type: 'req', id: reqId, method, params })) {
+        this.failRequest(pending, gatewayError('NOT_CONNECTED', 'Gateway not connected'));
+        return;
+      }
+      pending.timer = setTimeout(() => {
+        this.pendingReqs.delete(reqId);
+        this.failRequest(pending, gatewayError('TIMEOUT', `${method} timed out after ${timeout}ms`));
+      }, timeout);
+      this.pendingReqs.set(reqId, pending);
+    });
+  }
+
+  /** 请求失败：记录日志，属于某个 session 时以 error 事件通知前端，然后 reject */
+  failRequest(pending, err) {
+    clearTimeout(pending.timer);
+    console.error(`[Gateway ${this.idx}] ${pending.method} failed (${err.code}):`, err.message);
+    if (pending.sessionKey) {
+      this.onMsg({
+        type: 'error',
+        gateway: this.idx,
+        sessionKey: pending.sessionKey,
+        method: pending.method,
+        code: err.code,
+        message: err.message,
+        ...pending.context,
+      });
+    }
+    pending.reject(err);
+  }
+
+  /** 连接断开：所有等待中的请求立即失败，不再等到超时 */
+  rejectPending(code, message) {
+    const pending = [...this.pendingReqs.values()];
+    this.pendingReqs.clear();
+    for (const p of pending) this.failRequest(p, gatewayError(code, message));
+  }
+
   /**
    * 发送用户消息给 Agent
    * @param {string} sessionKey
    * @param {string} message
    * @param {Array}  [attachments]  - [{ filename, mimeType, data(base64), size }]
+   * @param {object} [opts]         - { timeout, msgId }；msgId 为对应的用户消息（前端生成），
+   *   用作 idempotencyKey，重发同一条消息时 gateway 不会重复执行；失败时随 error 事件带回
+   * @returns {Promise<object>} gateway 接受后 resolve（payload.runId）；被拒绝时 reject，
+   *   同时该 session 会收到 error 事件
    */
-  sendMessage(sessionKey, message, attachments = []) {
-    const reqId = 'req_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
-    const agentId = this.cfg.agentId || 'main';
-    const idempotencyKey = 'acp_' + sessionKey + '_' + Date.now();
-
-    this.pendingReqs.set(reqId, { sessionKey });
+  sendMessage(sessionKey, message, attachments = [], { timeout, msgId } = {}) {
+    const { agentId, key } = this.splitSessionKey(sessionKey);
+    const idempotencyKey = msgId || ('acp_' + sessionKey + '_' + Date.now());
 
     // 构造 message 字段：有附件时用 content array 格式
     let messageContent;
@@ -2759,32 +4868,267 @@ class GatewayClient {
       messageContent = message;
     }
 
-    this.sendFrame({
-      type: 'req',
-      id: reqId,
-      method: 'agent',
-      params: {
-        agentId,
-        sessionKey,
-        message: messageContent,
-        deliver: false,
-        idempotencyKey,
-      },
+    const params = {
+      agentId,
+      sessionKey: key,
+      message: messageContent,
+      deliver: false,
+      idempotencyKey,
+    };
+    return this.request('agent', params, { timeout, sessionKey, context: msgId ? { msgId } : null }).then((payload) => {
+      if (payload.runId) {
+        this.runIds.set(sessionKey, payload.runId);
+        console.log(`[Gateway ${this.idx}] Got runId=${payload.runId} for session=${sessionKey}`);
+      }
+      return payload;
     });
   }
 
   /**
-   * 取消指定 session 的当前运行
+   * 修改 gateway 端的 session 设置（sessions.patch）
    * @param {string} sessionKey
+   * @param {object} patch          - 例如 { model }
+   * @returns {Promise<object>}
+   */
+  patchSession(sessionKey, patch) {
+    return this.request('sessions.patch', { key: this.fullSessionKey(sessionKey), ...patch });
+  }
+
+  /**
+   * 删除 gateway 上的 session 及其历史（sessions.delete）
+   * @param {string} sessionKey
+   * @returns {Promise<object>}
+   */
+  deleteSession(sessionKey) {
+    return this.request('sessions.delete', { key: this.fullSessionKey(sessionKey) });
+  }
+
+  /**
+   * 查询 gateway 上某个 agent 的 session 列表（sessions.list）
+   * @param {string} [agentId] - 默认为 gateway 的默认 agent
+   * @returns {Promise<Array<{ sessionKey, title, updatedAt }>>} sessionKey 为本地形式（见 localSessionKey）
+   */
+  async listSessions(agentId) {
+    const payload = await this.request('sessions.list', { limit: 200 });
+    const prefix = 'agent:' + (agentId || this.defaultAgentId()) + ':';
+    return (Array.isArray(payload.sessions) ? payload.sessions : [])
+      .filter(s => s && typeof s.key === 'string' && s.key.startsWith(prefix))
+      .map(s => {
+        const sessionKey = this.localSessionKey(s.key);
+        return {
+          sessionKey,
+          title: s.displayName || s.label || s.derivedTitle || s.subject || s.key.slice(prefix.length),
+          updatedAt: s.updatedAt || null,
+        };
+      })
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  /**
+   * 读取 session 最近的 limit 条消息（chat.history），按时间从旧到新
+   * @returns {Promise<Array<{ id, role, content, thinking, attachments, ts }>>}
+   */
+  async fetchHistory(sessionKey, limit) {
+    const payload = await this.request('chat.history', { sessionKey: this.fullSessionKey(sessionKey), limit });
+    const list = Array.isArray(payload.messages) ? payload.messages : [];
+    const messages = [];
+    list.forEach((m, i) => {
+      if (!m || (m.role !== 'user' && m.role !== 'assistant')) return; // 工具结果等不单独显示
+      const { text, thinking, attachments } = chatMessageParts(m.content);
+      if (!text && !thinking && attachments.length === 0) return;
+      const ts = typeof m.timestamp === 'number' ? m.timestamp : null;
+      messages.push({
+        id: m.id || ('hist_' + (ts || 0) + '_' + i),
+        role: m.role,
+        content: text,
+        thinking,
+        attachments,
+        ts,
+      });
+    });
+    return messages;
+  }
+
+  /**
+   * 设置 session 的思考过程 / 工具事件级别（sessions.patch 的 reasoningLevel / verboseLevel）
+   * @param {string} sessionKey
+   * @param {object} levels         - { reasoningLevel?, verboseLevel? }，null 表示恢复 gateway 默认
+   * @returns {Promise<object>}
+   */
+  setSessionLevels(sessionKey, levels) {
+    const patch = {};
+    if ('reasoningLevel' in levels) patch.reasoningLevel = levels.reasoningLevel;
+    if ('verboseLevel' in levels) patch.verboseLevel = levels.verboseLevel;
+    return this.patchSession(sessionKey, patch);
+  }
+
+  /**
+   * 向 gateway 查询可用模型（models.list），结果缓存在 this.models，
+   * 并以 { type: 'models' } 消息通知前端
+   */
+  async fetchModels() {
+    let payload;
+    try {
+      payload = await this.request('models.list');
+    } catch (err) {
+      console.warn(`[Gateway ${this.idx}] models.list failed, using config models:`, err.message);
+      return;
+    }
+    const list = Array.isArray(payload.models) ? payload.models : [];
+    const models = list
+      .filter(m => m && (m.id || m.value))
+      .map(m => {
+        const id = m.id || m.value;
+        // sessions.patch 的 model 接受 provider/model 形式
+        const value = m.provider && !id.includes('/') ? m.provider + '/' + id : id;
+        return { value, label: m.name || m.label || id };
+      });
+    if (models.length === 0) return;
+    this.models = models;
+    console.log(`[Gateway ${this.idx}] Got ${models.length} models`);
+    this.onMsg({ type: 'models', gateway: this.idx, models });
+  }
+
+  /**
+   * 向 gateway 查询 agent 列表（agents.list），结果缓存在 this.agents，
+   * 并以 { type: 'agents' } 消息通知前端
+   */
+  async fetchAgents() {
+    let payload;
+    try {
+      payload = await this.request('agents.list');
+    } catch (err) {
+      console.warn(`[Gateway ${this.idx}] agents.list failed, using config agents:`, err.message);
+      return;
+    }
+    const agents = (Array.isArray(payload.agents) ? payload.agents : [])
+      .filter(a => a && a.id)
+      .map(a => ({ id: a.id, name: a.name || (a.identity && a.identity.name) || a.id }));
+    if (agents.length === 0) return;
+    this.agents = agents;
+    console.log(`[Gateway ${this.idx}] Got ${agents.length} agents`);
+    this.onMsg({ type: 'agents', gateway: this.idx, agents });
+  }
+
+  /** 可选的 agent：gateway 返回的列表，否则为 config 的 agents（id 或 { id, name }），再否则只有默认 agent */
+  agentList() {
+    if (this.agents) return this.agents;
+    const configured = (Array.isArray(this.cfg.agents) ? this.cfg.agents : [])
+      .map(a => (typeof a === 'string' ? { id: a, name: a } : a && a.id ? { id: a.id, name: a.name || a.id } : null))
+      .filter(Boolean);
+    if (configured.length > 0) return configured;
+    return [{ id: this.defaultAgentId(), name: this.defaultAgentId() }];
+  }
+
+  /**
+   * 取消指定 session 的当前运行
+   * @param {string} sessionKey
+   * @returns {string|null} 被取消的 runId（没有运行中的任务时为 null）
    */
   cancelRun(sessionKey) {
     const runId = this.runIds.get(sessionKey);
-    if (!runId) return;
-    this.sendFrame({
-      type: 'req',
-      id: 'cancel_' + Date.now(),
-      method: 'agent.cancel',
-      params: { sessionKey, runId },
+    if (!runId) return null;
+    this.request('agent.cancel', { sessionKey: this.fullSessionKey(sessionKey), runId }).catch(() => {}); // 失败已记录日志
+    return runId;
+  }
+
+  /** 查询 gateway 的定时任务（含已暂停的） */
+  async listCronJobs() {
+    const payload = await this.request('cron.list', { includeDisabled: true });
+    return (Array.isArray(payload.jobs) ? payload.jobs : []).filter(j => j && j.id).map(cronJobSummary);
+  }
+
+  /** 立即运行定时任务（不管是否到期） */
+  runCronJob(jobId) {
+    return this.request('cron.run', { id: jobId, mode: 'force' });
+  }
+
+  /** 暂停 / 启用定时任务 */
+  setCronJobEnabled(jobId, enabled) {
+    return this.request('cron.update', { id: jobId, patch: { enabled } });
+  }
+
+  removeCronJob(jobId) {
+    return this.request('cron.remove', { id: jobId });
+  }
+
+  /*
+   * SessionKey 的两种形式：
+   *   gateway 使用完整 key：agent:<agentId>:<key>
+   *   WebUI 使用本地 key：默认 agent（config 的 agentId）的 session 去掉前缀（如 webui:sess_xxx、main），
+   *   其他 agent 的 session 保留完整 key，这样同一 gateway 上不同 agent 的 session 不会混淆。
+   * 默认 agent 只取自 config（不随 agents.list 变化），保证已保存的 session 始终对应同一个 key。
+   */
+  defaultAgentId() {
+    return this.cfg.agentId || 'main';
+  }
+
+  /** 本地或完整 sessionKey → { agentId, key }（key 不含 agent 前缀） */
+  splitSessionKey(sessionKey) {
+    const m = /^agent:([^:]+):(.*)$/.exec(sessionKey || '');
+    return m ? { agentId: m[1], key: m[2] } : { agentId: this.defaultAgentId(), key: sessionKey || '' };
+  }
+
+  agentOf(sessionKey) {
+    return this.splitSessionKey(sessionKey).agentId;
+  }
+
+  /** WebUI 使用的 sessionKey → gateway 的完整 key（agent:<agentId>:<key>） */
+  fullSessionKey(sessionKey) {
+    const { agentId, key } = this.splitSessionKey(sessionKey);
+    return 'agent:' + agentId + ':' + key;
+  }
+
+  /** gateway 事件里的完整 key → 本地 key：只去掉默认 agent 的前缀 */
+  localSessionKey(sessionKey) {
+    const { agentId, key } = this.splitSessionKey(sessionKey);
+    return agentId === this.defaultAgentId() ? key : 'agent:' + agentId + ':' + key;
+  }
+
+  /**
+   * chat 事件：完整的用户/助手消息，用于同步其他渠道（或其他 WebUI 实例）驱动同一 session 时的对话。
+   * 只处理最终消息，state 为 delta 的增量由 agent 流负责；与本地记录的去重在 SessionStore 中完成。
+   */
+  handleChatEvent(payload) {
+    if (!payload || !payload.message) return;
+    if (payload.state && payload.state !== 'final') return;
+    const sessionKey = this.localSessionKey(payload.sessionKey);
+    const m = payload.message;
+    if (!sessionKey || (m.role !== 'user' && m.role !== 'assistant')) return;
+    const { text, thinking, attachments } = chatMessageParts(m.content);
+    if (!text && !thinking && attachments.length === 0) return;
+    this.onMsg({
+      type: 'chat_message',
+      gateway: this.idx,
+      sessionKey,
+      runId: payload.runId || null,
+      message: {
+        // 本 WebUI 发出的消息以消息 ID 作为 idempotencyKey，gateway 回传时可直接对应
+        id: m.idempotencyKey || payload.idempotencyKey || m.id || null,
+        role: m.role,
+        content: text,
+        thinking,
+        attachments,
+        ts: typeof m.timestamp === 'number' ? m.timestamp : Date.now(),
+      },
+    });
+  }
+
+  /**
+   * cron 事件：任务增删改（added / updated / removed）和运行（started / finished）
+   * 不属于任何 session，发给所有前端
+   */
+  handleCronEvent(payload) {
+    if (!payload || !payload.jobId) return;
+    this.onMsg({
+      type: 'cron_event',
+      gateway: this.idx,
+      jobId: payload.jobId,
+      action: payload.action,
+      status: payload.status || null,
+      error: payload.error || null,
+      runAt: payload.runAtMs || null,
+      nextRunAt: payload.nextRunAtMs || null,
     });
   }
 
@@ -2792,17 +5136,22 @@ class GatewayClient {
   handleFrame(frame) {
     console.log(`[Gateway ${this.idx}] Frame:`, JSON.stringify(frame).substring(0, 300));
 
-    // 响应帧: 处理 agent 请求返回的 runId
+    // 响应帧: 结束对应的 request()
     if (frame.type === 'res') {
       const pending = this.pendingReqs.get(frame.id);
-      if (pending && frame.ok !== false && frame.payload && frame.payload.runId) {
-        this.runIds.set(pending.sessionKey, frame.payload.runId);
-        console.log(`[Gateway ${this.idx}] Got runId=${frame.payload.runId} for session=${pending.sessionKey}`);
+      if (!pending) {
+        // 已超时或未经 request() 发出的请求
+        if (frame.ok === false) console.error(`[Gateway ${this.idx}] Request failed:`, JSON.stringify(frame.error || frame));
+        return;
       }
+      this.pendingReqs.delete(frame.id);
       if (frame.ok === false) {
-        console.error(`[Gateway ${this.idx}] Request failed:`, JSON.stringify(frame.error || frame));
+        const e = frame.error || {};
+        this.failRequest(pending, gatewayError(e.code || 'GATEWAY_ERROR', e.message || 'Request failed', e));
+        return;
       }
-      this.pendingReqs.delete(frame.id);
+      clearTimeout(pending.timer);
+      pending.resolve(frame.payload || {});
       return;
     }
 
@@ -2811,7 +5160,9 @@ class GatewayClient {
       if (frame.event === 'agent') {
         this.handleAgentEvent(frame.payload);
       } else if (frame.event === 'chat') {
-        console.log(`[Gateway ${this.idx}] Chat event:`, JSON.stringify(frame.payload).substring(0, 200));
+        this.handleChatEvent(frame.payload);
+      } else if (frame.event === 'cron') {
+        this.handleCronEvent(frame.payload);
       } else {
         console.log(`[Gateway ${this.idx}] Event: ${frame.event}`);
       }
@@ -2825,11 +5176,7 @@ class GatewayClient {
   handleAgentEvent(payload) {
     if (!payload) return;
     const { stream, data, runId } = payload;
-    // Gateway returns sessionKey with "agent:main:" prefix, strip it for matching
-    let sessionKey = payload.sessionKey || '';
-    if (sessionKey.startsWith('agent:main:')) {
-      sessionKey = sessionKey.slice('agent:main:'.length);
-    }
+    const sessionKey = this.localSessionKey(payload.sessionKey);
     if (!sessionKey || !stream) return;
 
     switch (stream) {
@@ -2837,8 +5184,8 @@ class GatewayClient {
         const phase = data && data.phase;
         if (phase === 'start' && runId) {
           this.runIds.set(sessionKey, runId);
-        } else if (phase === 'end' || phase === 'cancelled') {
-          this.runIds.delete(sessionKey);
+        } else if (phase !== 'start') {
+          this.runIds.delete(sessionKey); // end | error | cancelled
         }
         this.onMsg({
           type: 'lifecycle',
@@ -2869,21 +5216,35 @@ class GatewayClient {
 
       case 'tool': {
         const phase = data && data.phase;
+        // toolCallId 用于把 update/result 对应到同一次调用（并行的同名工具调用）
+        const toolCallId = (data && (data.toolCallId || data.id)) || null;
         if (phase === 'start') {
           this.onMsg({
             type: 'tool_start',
             gateway: this.idx,
             sessionKey,
+            toolCallId,
+            name: data.name,
+            args: data.arguments !== undefined ? data.arguments : data.args,
+          });
+        } else if (phase === 'update') {
+          this.onMsg({
+            type: 'tool_update',
+            gateway: this.idx,
+            sessionKey,
+            toolCallId,
             name: data.name,
-            args: data.arguments,
+            partial: data.partialResult !== undefined ? data.partialResult : data.progress,
           });
         } else if (phase === 'result') {
           this.onMsg({
             type: 'tool_result',
             gateway: this.idx,
             sessionKey,
+            toolCallId,
             name: data.name,
-            result: data.result,
+            result: data.result !== undefined ? data.result : data.error,
+            isError: !!(data.isError || data.error),
           });
         }
         break;
@@ -2898,9 +5259,35 @@ class GatewayClient {
     }
     if (this.ws) {
       this.ws.removeAllListeners();
-      try { this.ws.close(); } catch(e) {}
+      // 握手未完成时关闭会触发 'error'（closed before the connection was established），没有监听器会导致进程退出
+      this.ws.on('error', () => {});
+      if (this.ws.readyState === WebSocket.CONNECTING) this.ws.terminate();
+      else try { this.ws.close(); } catch(e) {}
       this.ws = null;
     }
+    this.rejectPending('DISCONNECTED', 'Gateway client destroyed');
+    this.interruptRuns();
+  }
+
+  /**
+   * 连接断开时结束所有进行中的 run：之后的事件（包括 lifecycle end）都收不到了，
+   * 以 lifecycle error 通知，让回放缓冲区、存储和前端都把 run 标记为结束
+   */
+  interruptRuns() {
+    const runs = [...this.runIds];
+    this.runIds.clear();
+    for (const [sessionKey, runId] of runs) {
+      console.log(`[Gateway ${this.idx}] Run ${runId} interrupted, session=${sessionKey}`);
+      this.onMsg({
+        type: 'lifecycle',
+        gateway: this.idx,
+        sessionKey,
+        phase: 'error',
+        runId,
+        code: 'DISCONNECTED',
+        message: 'Gateway 连接断开，回复已中断',
+      });
+    }
   }
 }
 
@@ -2909,43 +5296,243 @@ class GatewayClient {
 // ─────────────────────────────────────────────
 const frontendClients = new Set();
 
-function broadcastToFrontend(msg) {
+// 按 session 路由的消息类型（只发给订阅了该 session 的前端连接）
+const SESSION_SCOPED_TYPES = new Set(['lifecycle', 'chunk', 'thinking', 'tool_start', 'tool_update', 'tool_result', 'user_message']);
+/** 同样只发给拥有该 session 的连接，但不进入回放缓冲区（请求失败、消息送达状态、chat 同步的消息） */
+const SESSION_NOTICE_TYPES = new Set(['error', 'message_status', 'chat_message']);
+
+/** ownedSessions 中的键：同一 sessionKey 在不同 gateway 上是不同的会话 */
+function ownershipKey(gatewayIdx, sessionKey) {
+  return gatewayIdx + '|' + sessionKey;
+}
+
+/**
+ * 流式事件重放缓冲区
+ *
+ * 每个 session 的事件按到达顺序编号（seq），并缓存当前 run 的全部事件；
+ * run 结束后再保留 ttlMs，供断线重连的前端用 resume 补齐缺失的部分。
+ */
+class ReplayBuffer {
+  constructor({ maxEvents = 5000, ttlMs = 5 * 60 * 1000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.ttlMs = ttlMs;
+    /** Map<'gatewayIdx|sessionKey', { seq, runId, firstSeq, events[], done, timer }> */
+    this.entries = new Map();
+  }
+
+  static keyOf(gatewayIdx, sessionKey) {
+    return gatewayIdx + '|' + sessionKey;
+  }
+
+  /** 给消息打上 seq/runId 并缓存 */
+  push(msg) {
+    if (!SESSION_SCOPED_TYPES.has(msg.type) || !msg.sessionKey) return;
+    const key = ReplayBuffer.keyOf(msg.gateway, msg.sessionKey);
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = { seq: 0, runId: null, firstSeq: 1, events: [], done: false, timer: null };
+      this.entries.set(key, entry);
+    }
+    msg.seq = ++entry.seq;
+
+    if (msg.type === 'lifecycle' && msg.phase === 'start') {
+      if (entry.timer) clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.runId = msg.runId || null;
+      entry.firstSeq = msg.seq;
+      entry.events = [];
+      entry.done = false;
+    }
+    if (!msg.runId && entry.runId) msg.runId = entry.runId;
+
+    entry.events.push(msg);
+    if (entry.events.length > this.maxEvents) {
+      entry.events.shift();
+      entry.firstSeq = entry.events[0].seq;
+    }
+
+    if (msg.type === 'lifecycle' && msg.phase !== 'start') {
+      entry.done = true;
+      entry.timer = setTimeout(() => this.entries.delete(key), this.ttlMs);
+      entry.timer.unref();
+    }
+  }
+
+  /**
+   * 取出某个 run 中 seq > lastSeq 的事件
+   * @returns {{ running: boolean, events: object[] }|null} 缓冲区已无法补齐时返回 null
+   */
+  since(gatewayIdx, sessionKey, runId, lastSeq) {
+    const entry = this.entries.get(ReplayBuffer.keyOf(gatewayIdx, sessionKey));
+    if (!entry || !entry.runId || entry.runId !== runId) return null;
+    if (lastSeq + 1 < entry.firstSeq) return null;
+    return {
+      running: !entry.done,
+      events: entry.events.filter(e => e.seq > lastSeq),
+    };
+  }
+
+  /** 当前（或最近一次）run：{ runId, running, firstSeq }，没有缓存时返回 null */
+  current(gatewayIdx, sessionKey) {
+    const entry = this.entries.get(ReplayBuffer.keyOf(gatewayIdx, sessionKey));
+    if (!entry || !entry.runId) return null;
+    return { runId: entry.runId, running: !entry.done, firstSeq: entry.firstSeq };
+  }
+}
+
+const replayBuffer = new ReplayBuffer();
+
+/**
+ * @param {object} msg
+ * @param {object} [sess] - 消息涉及的 session（默认取 msg.session 摘要，或按 gateway + sessionKey 查找）
+ */
+function broadcastToFrontend(msg, sess = msg.session || (msg.sessionKey ? sessionStore.findByKey(msg.gateway, msg.sessionKey) : null)) {
   for (const client of frontendClients) {
     if (client.readyState !== WebSocket.OPEN || !client._authenticated) continue;
 
-    // Bug 1 修复：对于 agent/chat 事件，检查 sessionKey 是否属于该前端连接
-    // 需要过滤的消息类型：lifecycle, chunk, thinking, tool_start, tool_result
-    const SESSION_SCOPED_TYPES = new Set(['lifecycle', 'chunk', 'thinking', 'tool_start', 'tool_result']);
-    if (SESSION_SCOPED_TYPES.has(msg.type) && msg.sessionKey) {
-      if (!client._ownedSessions.has(msg.sessionKey)) {
+    // 多用户：session 的消息只发给能访问它的用户（按用户判断，同一用户的所有连接都能收到）
+    if (sess && !canAccessSession(client._user, sess)) continue;
+
+    // Bug 1 修复：服务端未存储的 session（如 main）的 agent/chat 事件，只发给登记过该 session 的连接
+    if (!sess && (SESSION_SCOPED_TYPES.has(msg.type) || SESSION_NOTICE_TYPES.has(msg.type)) && msg.sessionKey) {
+      if (!client._ownedSessions.has(ownershipKey(msg.gateway, msg.sessionKey))) {
         // 不属于该前端连接的 session，silently 丢弃
         continue;
       }
     }
 
+    if (ADMIN_ONLY_TYPES.has(msg.type) && !isAdmin(client._user)) continue;
+
     try { client.send(JSON.stringify(msg)); } catch(e) { /* ignore */ }
   }
 }
 
+/*
+ * 多用户权限：连接的 _user 为 { name, admin }，单密码 / 无密码模式下为 null（可访问全部）。
+ * 普通用户只能访问自己创建的 session，发往 gateway 的 sessionKey 带 user:<name>: 命名空间；
+ * 管理员可以访问全部 session 和定时任务。
+ */
+const ADMIN_ONLY_TYPES = new Set(['cron_jobs', 'cron_event']);
+
+function isAdmin(user) {
+  return !user || user.admin;
+}
+
+function canAccessSession(user, sess) {
+  return isAdmin(user) || sess.owner === user.name;
+}
+
+/**
+ * 普通用户的 sessionKey 加上用户命名空间（agent 前缀之后），例如
+ *   webui:sess_xxx → user:alice:webui:sess_xxx，agent:coder:main → agent:coder:user:alice:main
+ * 已在该用户命名空间内的 key 原样返回；管理员不限制
+ */
+function scopeSessionKey(user, gwClient, sessionKey) {
+  if (isAdmin(user)) return sessionKey;
+  const { agentId, key } = gwClient.splitSessionKey(sessionKey);
+  const ns = 'user:' + user.name + ':';
+  return key.startsWith(ns) ? sessionKey : gwClient.localSessionKey('agent:' + agentId + ':' + ns + key);
+}
+
+/**
+ * 服务端内部的流式事件订阅者（OpenAI 兼容接口等）
+ * Map<'gatewayIdx|sessionKey', Set<(msg) => void>>
+ */
+const streamListeners = new Map();
+
+/** @returns {Function} 取消订阅 */
+function addStreamListener(gatewayIdx, sessionKey, fn) {
+  const key = ownershipKey(gatewayIdx, sessionKey);
+  if (!streamListeners.has(key)) streamListeners.set(key, new Set());
+  streamListeners.get(key).add(fn);
+  return () => {
+    const set = streamListeners.get(key);
+    if (!set) return;
+    set.delete(fn);
+    if (set.size === 0) streamListeners.delete(key);
+  };
+}
+
+function notifyStreamListeners(msg) {
+  if (!msg.sessionKey) return;
+  const set = streamListeners.get(ownershipKey(msg.gateway, msg.sessionKey));
+  if (!set) return;
+  for (const fn of [...set]) {
+    try { fn(msg); } catch (e) { console.error('[Stream] Listener error:', e.message); }
+  }
+}
+
+/** session 摘要附带正在运行的 runId（没有则为 null），前端据此显示"生成中" */
+function withRunState(summary) {
+  const cur = replayBuffer.current(summary.gatewayIdx, summary.sessionKey);
+  return { ...summary, runId: cur && cur.running ? cur.runId : null };
+}
+
+/**
+ * 把一条用户消息写入存储，并通知前端（session 摘要 + 其他订阅者的消息列表）
+ * @param {object} sess    - sessionStore 中的 session
+ * @param {object} message - { id?, content, attachments? }
+ */
+function recordUserTurn(sess, message) {
+  const id = message.id || ('msg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7));
+  const attachments = message.attachments || [];
+  sessionStore.addMessage(sess.id, { id, role: 'user', content: message.content || '', attachments, status: 'sent' });
+  broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+  // 同一 session 的其他订阅者（例如另一个标签页）也显示这条用户消息
+  broadcastToFrontend({
+    type: 'user_message',
+    gateway: sess.gatewayIdx,
+    sessionKey: sess.sessionKey,
+    message: { id, content: message.content || '', attachments, status: 'sent' },
+  });
+  return id;
+}
+
+/**
+ * 更新用户消息的送达状态并通知该 session 的前端：
+ * sent（服务端已记录）→ delivered（gateway 已接受）；失败见 error 事件（failed）
+ */
+function setMessageStatus(sess, msgId, status, extra = {}) {
+  if (!sessionStore.updateMessage(sess.id, msgId, { status, error: null })) return;
+  broadcastToFrontend({
+    type: 'message_status',
+    gateway: sess.gatewayIdx,
+    sessionKey: sess.sessionKey,
+    msgId,
+    status,
+    ...extra,
+  });
+}
+
 // ─────────────────────────────────────────────
 // 7. 初始化 Gateway 连接池
 // ─────────────────────────────────────────────
-const gatewayClients = GATEWAYS.map((gwCfg, idx) => {
+function createGatewayClient(idx) {
   return new GatewayClient(
     idx,
-    gwCfg,
-    (msg) => broadcastToFrontend(msg),           // 收到 gateway 消息 -> 转发给所有前端
-    (connected) => {                              // 状态变化 -> 通知前端
+    GATEWAYS[idx],
+    (msg) => {                                    // 收到 gateway 消息 -> 编号、写入存储并转发给前端
+      replayBuffer.push(msg);
+      const changed = sessionStore.recordEvent(msg);
+      if (msg.duplicate) return;                  // chat 事件里已记录过的消息
+      broadcastToFrontend(msg);
+      notifyStreamListeners(msg);
+      if (changed) broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(changed) });
+    },
+    (connected) => {                              // 状态变化 -> 通知前端，重连后重新应用 session 设置
       broadcastToFrontend({ type: 'status', gateway: idx, connected });
+      if (connected) reapplySessionSettings(idx);
     },
   );
-});
+}
+
+const gatewayClients = GATEWAYS.map((gwCfg, idx) => createGatewayClient(idx));
 
 // ─────────────────────────────────────────────
 // 8. 前端 WebSocket 连接处理
 // ─────────────────────────────────────────────
 wss.on('connection', (ws, req) => {
-  const ip = req.socket.remoteAddress;
+  const ip = clientIp(req);
   console.log('[Frontend] New connection from', ip);
 
   ws.on('error', (err) => {
@@ -2957,17 +5544,22 @@ wss.on('connection', (ws, req) => {
     frontendClients.delete(ws);
   });
 
-  // 认证状态：无密码时直接标记为已认证
-  ws._authenticated = !AUTH_REQUIRED;
+  // 认证状态：无密码时直接标记为已认证，否则凭登录 cookie（见 1d. 登录会话）
+  const login = AUTH_REQUIRED ? findLoginByCookie(req) : null;
+  ws._login = login && isLoginValid(login) ? login : null;
+  ws._authenticated = !AUTH_REQUIRED || !!ws._login;
+  // 登录的用户 { name, admin }（多用户模式），其他模式为 null
+  ws._user = ws._login && ws._login.user ? userInfo(ws._login.user) : null;
 
-  // Bug 1 修复：每个前端连接维护一个 ownedSessions Set，用于过滤事件
+  // Bug 1 修复：每个前端连接维护一个 ownedSessions Set（'gatewayIdx|sessionKey'），用于过滤事件
+  // 前端在 init 后通过 subscribe 重新登记，因此重连/多标签页都能收到流
   ws._ownedSessions = new Set();
 
-  if (AUTH_REQUIRED) {
-    // 告诉前端需要密码
-    ws.send(JSON.stringify({ type: 'auth_required' }));
+  if (!ws._authenticated) {
+    // 告诉前端需要登录（多用户模式还需要用户名）；前端 POST /login 后重新连接
+    ws.send(JSON.stringify({ type: 'auth_required', users: USERS.size > 0 }));
   } else {
-    // 无密码保护，直接发送 init
+    if (ws._login) console.log('[Frontend] Logged in from', ip + (ws._user ? ' as ' + ws._user.name : ''));
     frontendClients.add(ws);
     sendInitMsg(ws);
   }
@@ -2976,28 +5568,12 @@ wss.on('connection', (ws, req) => {
     let msg;
     try { msg = JSON.parse(data.toString()); } catch(e) { return; }
 
-    // 处理认证消息
-    if (msg.type === 'auth') {
-      if (!AUTH_REQUIRED) {
-        ws.send(JSON.stringify({ type: 'auth_ok' }));
-        return;
-      }
-      if (msg.password === PASSWORD) {
-        ws._authenticated = true;
-        frontendClients.add(ws);
-        ws.send(JSON.stringify({ type: 'auth_ok' }));
-        sendInitMsg(ws);
-        console.log('[Frontend] Auth OK from', ip);
-      } else {
-        ws.send(JSON.stringify({ type: 'auth_fail' }));
-        console.warn('[Frontend] Auth FAILED from', ip);
-      }
-      return;
-    }
+    // 登录在连接期间过期
+    if (ws._login && ws._login.expires <= Date.now()) deauthenticate(ws);
 
     // 未认证时拒绝其他消息
     if (!ws._authenticated) {
-      ws.send(JSON.stringify({ type: 'auth_required' }));
+      ws.send(JSON.stringify({ type: 'auth_required', users: USERS.size > 0 }));
       return;
     }
 
@@ -3007,46 +5583,362 @@ wss.on('connection', (ws, req) => {
   // (close and error handlers already registered above)
 });
 
-/** 向指定前端发送初始化数据 */
+/**
+ * 校验登录信息：多用户模式按 users.json 校验用户名和密码，否则校验 config.password
+ * @returns {{ name, admin }|{}|null} 多用户模式返回用户，单密码模式返回 {}，失败返回 null
+ */
+function checkCredentials(username, password) {
+  if (typeof password !== 'string') return null;
+  if (USERS.size > 0) {
+    const user = typeof username === 'string' ? USERS.get(username) : null;
+    const ok = verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    return ok && user ? { name: user.name, admin: user.admin } : null;
+  }
+  return PASSWORD && safeEqual(password, PASSWORD) ? {} : null;
+}
+
+function userInfo(name) {
+  const user = USERS.get(name);
+  return user ? { name: user.name, admin: user.admin } : null;
+}
+
+/** 让前端回到登录界面（登录被撤销或失效） */
+function deauthenticate(ws) {
+  ws._authenticated = false;
+  ws._user = null;
+  ws._login = null;
+  frontendClients.delete(ws);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'auth_required', users: USERS.size > 0 }));
+  }
+}
+
+/** 删除失效的登录（过期 / 改密码 / 删除用户 / 模式切换），使用它们的前端需要重新登录 */
+function pruneLogins() {
+  let changed = false;
+  for (const [id, login] of logins) {
+    if (!isLoginValid(login)) {
+      logins.delete(id);
+      changed = true;
+    }
+  }
+  if (changed) saveLogins();
+  if (!AUTH_REQUIRED) return;
+  for (const client of wss.clients) {
+    if (!client._authenticated) continue;
+    if (client._login && logins.has(client._login.id)) {
+      if (client._user) client._user = userInfo(client._user.name);
+      continue;
+    }
+    deauthenticate(client);
+  }
+}
+
+function loginCookieHeader(req, value, maxAge) {
+  const viaHttpsProxy = isTrustedProxy(req) && req.headers['x-forwarded-proto'] === 'https';
+  const secure = req.socket.encrypted || viaHttpsProxy;
+  return `${LOGIN_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Strict` + (secure ? '; Secure' : '');
+}
+
+function isTrustedProxy(req) {
+  return TRUSTED_PROXIES.has(normalizeIp(req.socket.remoteAddress));
+}
+
+/**
+ * 客户端 IP：直连时为对端地址；经 trustedProxies 中的反向代理时取 X-Real-IP，
+ * 其次取 X-Forwarded-For 中从右往左第一个不是可信代理的地址
+ */
+function clientIp(req) {
+  const remote = normalizeIp(req.socket.remoteAddress);
+  if (!TRUSTED_PROXIES.has(remote)) return remote;
+  const realIp = normalizeIp(req.headers['x-real-ip']);
+  if (realIp) return realIp;
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(normalizeIp).filter(Boolean);
+  for (let i = forwarded.length - 1; i >= 0; i--) {
+    if (!TRUSTED_PROXIES.has(forwarded[i])) return forwarded[i];
+  }
+  return forwarded[0] || remote;
+}
+
+// ─── 登录限流（防暴力破解） ───
+// 按客户端 IP 和全局（key '*'）分别统计失败次数，超过 free 次后锁定，锁定时长从 baseMs 起每次失败翻倍，
+// 最长 maxMs；锁定结束后 resetMs 内没有新的失败则清零。锁定期间的登录请求直接回复 429，不校验密码
+const LOGIN_LIMITS = {
+  ip:     { free: 5,   baseMs: 30 * 1000, maxMs: 60 * 60 * 1000, resetMs: 60 * 60 * 1000 },
+  global: { free: 100, baseMs: 10 * 1000, maxMs: 10 * 60 * 1000, resetMs: 10 * 60 * 1000 },
+};
+const LOGIN_FAILURES_MAX = 10000; // 超过时清理已过期的记录
+
+/** Map<ip | '*', { failures, lastFailure, lockedUntil, blockedLogged }> */
+const loginFailures = new Map();
+
+function loginLimitFor(key) {
+  return key === '*' ? LOGIN_LIMITS.global : LOGIN_LIMITS.ip;
+}
+
+function isLoginFailureExpired(key, entry, now) {
+  return now - Math.max(entry.lastFailure, entry.lockedUntil) > loginLimitFor(key).resetMs;
+}
+
+/** 剩余锁定时间 ms，0 表示可以尝试 */
+function loginLockRemaining(key, now) {
+  const entry = loginFailures.get(key);
+  return entry ? Math.max(0, entry.lockedUntil - now) : 0;
+}
+
+/**
+ * 记录一次登录失败
+ * @returns {{ failures: number, lockMs: number }} lockMs 为新的锁定时长，0 表示未锁定
+ */
+function recordLoginFailure(key, now) {
+  let entry = loginFailures.get(key);
+  if (!entry || isLoginFailureExpired(key, entry, now)) {
+    if (loginFailures.size >= LOGIN_FAILURES_MAX) {
+      for (const [k, e] of loginFailures) if (isLoginFailureExpired(k, e, now)) loginFailures.delete(k);
+    }
+    entry = { failures: 0, lastFailure: 0, lockedUntil: 0, blockedLogged: false };
+    loginFailures.set(key, entry);
+  }
+  const limit = loginLimitFor(key);
+  entry.failures++;
+  entry.lastFailure = now;
+  entry.blockedLogged = false;
+  const over = entry.failures - limit.free;
+  const lockMs = over > 0 ? Math.min(limit.baseMs * 2 ** (over - 1), limit.maxMs) : 0;
+  if (lockMs > 0) entry.lockedUntil = now + lockMs;
+  return { failures: entry.failures, lockMs };
+}
+
+/** 审计日志：登录失败与锁定（带时间戳，便于 fail2ban 等工具解析） */
+function auditLog(event, fields) {
+  const parts = Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => k + '=' + (typeof v === 'string' ? JSON.stringify(v) : v));
+  console.warn(`[Audit] ${new Date().toISOString()} ${event} ` + parts.join(' '));
+}
+
+/**
+ * POST /login  { username?, password } -> { user }，并设置登录 cookie
+ * POST /logout                         -> 撤销当前登录并清除 cookie，该登录的所有前端回到登录界面
+ * 只接受 JSON 请求体：跨站表单无法伪造，跨站 fetch 需要 CORS 预检
+ */
+async function handleLoginRequest(req, res) {
+  const ip = clientIp(req);
+  if (req.method !== 'POST') {
+    res.writeHead(405, { Allow: 'POST' });
+    res.end();
+    return;
+  }
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    sendJson(res, 415, { error: { message: 'Content-Type must be application/json' } });
+    return;
+  }
+  let body;
+  try {
+    body = await readJsonBody(req, 16 * 1024);
+  } catch (e) {
+    sendJson(res, e.status || 400, { error: { message: e.message } });
+    return;
+  }
+
+  if (req.url === '/logout') {
+    const login = findLoginByCookie(req);
+    if (login) {
+      logins.delete(login.id);
+      saveLogins();
+      for (const client of wss.clients) {
+        if (client._login && client._login.id === login.id) deauthenticate(client);
+      }
+      console.log('[Login] Logged out from', ip + (login.user ? ' as ' + login.user : ''));
+    }
+    res.setHeader('Set-Cookie', loginCookieHeader(req, '', 0));
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  if (!AUTH_REQUIRED) {
+    sendJson(res, 200, { user: null });
+    return;
+  }
+  const now = Date.now();
+  const username = body.username ? String(body.username).slice(0, 32) : undefined;
+  const via = ip !== normalizeIp(req.socket.remoteAddress) ? normalizeIp(req.socket.remoteAddress) : undefined;
+  for (const key of [ip, '*']) {
+    const lockMs = loginLockRemaining(key, now);
+    if (lockMs === 0) continue;
+    const entry = loginFailures.get(key);
+    if (!entry.blockedLogged) {
+      entry.blockedLogged = true; // 每次锁定只记录一条，避免日志被刷屏
+      auditLog('login_blocked', { ip, via, user: username, scope: key === '*' ? 'global' : 'ip', retryAfter: Math.ceil(lockMs / 1000) });
+    }
+    res.setHeader('Retry-After', String(Math.ceil(lockMs / 1000)));
+    sendJson(res, 429, { error: { message: 'Too many failed login attempts, try again later' } });
+    return;
+  }
+
+  const user = checkCredentials(body.username, body.password);
+  if (!user) {
+    const perIp = recordLoginFailure(ip, now);
+    const global = recordLoginFailure('*', now);
+    auditLog('login_failed', { ip, via, user: username, failures: perIp.failures });
+    if (perIp.lockMs > 0) auditLog('login_locked', { ip, scope: 'ip', failures: perIp.failures, seconds: perIp.lockMs / 1000 });
+    if (global.lockMs > 0) auditLog('login_locked', { scope: 'global', failures: global.failures, seconds: global.lockMs / 1000 });
+    sendJson(res, 401, { error: { message: USERS.size > 0 ? 'Invalid username or password' : 'Invalid password' } });
+    return;
+  }
+  // 登录成功不清除该 IP 的失败计数：否则持有一个账号的人可以在猜测其他账号的间隙登录自己的账号来绕过限流
+  const login = createLogin(user, ip);
+  console.log('[Login] OK from', ip + (login.user ? ' as ' + login.user : ''));
+  res.setHeader('Set-Cookie', loginCookieHeader(req, loginCookieValue(login), Math.floor(LOGIN_TTL / 1000)));
+  sendJson(res, 200, { user: user.name ? user : null });
+}
+
+/** 向指定前端发送初始化数据（只含该用户能访问的 session） */
 function sendInitMsg(ws) {
   ws.send(JSON.stringify({
     type: 'init',
+    user: ws._user,
+    login: !!ws._login, // 凭 cookie 登录，前端显示退出按钮
     models: CONFIG_MODELS,
+    sessions: sessionStore.list().filter(s => canAccessSession(ws._user, s)).map(withRunState),
     gateways: GATEWAYS.map((gw, i) => ({
       name: gw.name,
       connected: gatewayClients[i] ? gatewayClients[i].connected : false,
+      models: gatewayClients[i] ? gatewayClients[i].models : null, // 为 null 时前端使用 models
+      agents: gatewayClients[i] ? gatewayClients[i].agentList() : [],
+      defaultAgent: gatewayClients[i] ? gatewayClients[i].defaultAgentId() : 'main',
     })),
   }));
 }
 
 /**
- * 处理前端发来的控制消息
- *
- * 支持的消息类型（见 SPEC.md）:
- *   { type: 'send',   gateway, sessionKey, message }
- *   { type: 'cancel', gateway, sessionKey }
+ * 处理前端发来的 session 存储相关消息
+ * @returns {boolean} 是否已处理
  */
-function handleFrontendMsg(ws, msg) {
-  console.log('[Frontend] Received:', JSON.stringify(msg).substring(0, 200));
-  const gwIdx = typeof msg.gateway === 'number' ? msg.gateway : 0;
-  const gwClient = gatewayClients[gwIdx];
-
-  if (!gwClient) {
-    ws.send(JSON.stringify({ type: 'error', message: 'Invalid gateway index: ' + gwIdx }));
-    return;
-  }
-
+function handleSessionStoreMsg(ws, msg) {
   switch (msg.type) {
-    case 'send': {
-      if (!gwClient.connected) {
-        console.log('[Frontend] Gateway not connected, rejecting send');
-        ws.send(JSON.stringify({ type: 'error', gateway: gwIdx, message: 'Gateway not connected' }));
-        return;
+    case 'session_create': {
+      const s = msg.session || {};
+      if (!s.id) return true;
+      const existing = sessionStore.get(s.id);
+      if (existing && !canAccessSession(ws._user, existing)) return true;
+      const gw = gatewayClients[s.gatewayIdx];
+      if (!gw && !isAdmin(ws._user)) return true;
+      const sessionKey = gw ? scopeSessionKey(ws._user, gw, s.sessionKey || ('webui:' + s.id)) : s.sessionKey;
+      const sess = sessionStore.upsert({
+        id: s.id,
+        title: s.title,
+        gatewayIdx: s.gatewayIdx,
+        sessionKey,
+        agentId: gw ? gw.agentOf(sessionKey) : null,
+        owner: ws._user ? ws._user.name : null,
+      });
+      broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+      return true;
+    }
+
+    case 'session_delete': {
+      const sess = sessionStore.get(msg.id);
+      if (sess && canAccessSession(ws._user, sess) && sessionStore.remove(msg.id)) {
+        broadcastToFrontend({ type: 'session_deleted', id: msg.id }, sess);
       }
-      const sessionKey = msg.sessionKey || ('webui:default_' + gwIdx);
+      return true;
+    }
+
+    case 'session_clear': {
+      // 只清空当前用户能访问的 session
+      for (const summary of sessionStore.list()) {
+        if (!canAccessSession(ws._user, summary)) continue;
+        sessionStore.remove(summary.id);
+        broadcastToFrontend({ type: 'session_deleted', id: summary.id }, summary);
+      }
+      return true;
+    }
+
+    case 'load_session': {
+      const found = sessionStore.get(msg.id);
+      const sess = found && canAccessSession(ws._user, found) ? found : null;
+      ws.send(JSON.stringify({
+        type: 'session_messages',
+        id: msg.id,
+        found: !!sess,
+        messages: sess ? sessionStore.messages(msg.id) : [],
+      }));
+      return true;
+    }
+
+    case 'session_import': {
+      const list = Array.isArray(msg.sessions) ? msg.sessions : [];
+      for (const data of list) {
+        const gw = data && gatewayClients[data.gatewayIdx || 0];
+        if (!gw || !data.id) continue;
+        const sess = sessionStore.importSession(data, {
+          sessionKey: scopeSessionKey(ws._user, gw, data.sessionKey || ('webui:' + data.id)),
+          owner: ws._user ? ws._user.name : null,
+        });
+        if (sess) broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+      }
+      console.log(`[Frontend] Imported ${list.length} legacy session(s)`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 登记/取消该连接关注的 session
+ *   { type: 'subscribe' | 'unsubscribe', sessions: [{ gateway, sessionKey }] }
+ */
+function handleSubscription(ws, msg) {
+  const list = Array.isArray(msg.sessions) ? msg.sessions : [];
+  for (const item of list) {
+    if (!item || typeof item.sessionKey !== 'string') continue;
+    const gwIdx = typeof item.gateway === 'number' ? item.gateway : 0;
+    const key = ownershipKey(gwIdx, item.sessionKey);
+    if (msg.type === 'subscribe') {
+      // 普通用户只能登记自己命名空间内的 session
+      const gw = gatewayClients[gwIdx];
+      if (!isAdmin(ws._user) && (!gw || scopeSessionKey(ws._user, gw, item.sessionKey) !== item.sessionKey)) continue;
+      ws._ownedSessions.add(key);
+    } else {
+      ws._ownedSessions.delete(key);
+    }
+  }
+}
+
+/**
+ * 处理前端发来的控制消息
+ *
+ * 支持的消息类型（见 SPEC.md）:
+ *   { type: 'send',   gateway, sessionKey, sessionId, msgId, message }
+ *   { type: 'cancel', gateway, sessionKey }
+ *   { type: 'resume', gateway, sessionKey, runId, lastSeq }
+ *   subscribe / unsubscribe
+ *   session_create / session_delete / session_clear / load_session / session_import
+ */
+function handleFrontendMsg(ws, msg) {
+  console.log('[Frontend] Received:', JSON.stringify(msg).substring(0, 200));
+  if (handleSessionStoreMsg(ws, msg)) return;
+  if (msg.type === 'subscribe' || msg.type === 'unsubscribe') {
+    handleSubscription(ws, msg);
+    return;
+  }
+
+  const gwIdx = typeof msg.gateway === 'number' ? msg.gateway : 0;
+  const gwClient = gatewayClients[gwIdx];
+
+  if (!gwClient) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid gateway index: ' + gwIdx }));
+    return;
+  }
+
+  switch (msg.type) {
+    case 'send': {
+      // gateway 未连接时 sendMessage 会失败，消息被标记为 failed（前端可重试）
+      const sessionKey = scopeSessionKey(ws._user, gwClient, msg.sessionKey || ('webui:default_' + gwIdx));
 
       // Bug 1 修复：前端创建/使用 session 时，把 sessionKey 加入该连接的 ownedSessions Set
-      ws._ownedSessions.add(sessionKey);
+      ws._ownedSessions.add(ownershipKey(gwIdx, sessionKey));
       const attachments = Array.isArray(msg.attachments) ? msg.attachments : [];
 
       // 服务端校验附件
@@ -3069,22 +5961,798 @@ function handleFrontendMsg(ws, msg) {
         return true;
       });
 
-      console.log(`[Frontend] Sending to gateway ${gwIdx}, session=${sessionKey}, msg=${(msg.message||'').substring(0,50)}, attachments=${validAttachments.length}`);
-      gwClient.sendMessage(sessionKey, msg.message || '', validAttachments);
+      // 记录用户消息；同一 ID 再次发来（重试、重连后重发队列）时不重复记录，
+      // 转发给 gateway 时 idempotencyKey 不变，gateway 不会重复执行
+      const sess = sessionStore.ensure(msg.sessionId, gwIdx, sessionKey, ws._user ? ws._user.name : null);
+      const stored = msg.msgId ? sessionStore.messages(sess.id).find(m => m.id === msg.msgId) : null;
+      const resent = !!stored;
+      if (stored && stored.status === 'delivered') {
+        // gateway 已接受过：只回复状态，不再转发，避免同一条消息再次执行
+        ws.send(JSON.stringify({ type: 'message_status', gateway: gwIdx, sessionKey, msgId: stored.id, status: 'delivered' }));
+        break;
+      }
+      const msgId = resent ? msg.msgId : recordUserTurn(sess, { id: msg.msgId, content: msg.message || '', attachments: validAttachments });
+      if (resent) setMessageStatus(sess, msgId, 'sent'); // 首次发送时 recordUserTurn 已记为 sent 并发出 user_message
+
+      console.log(`[Frontend] ${resent ? 'Resending' : 'Sending'} to gateway ${gwIdx}, session=${sessionKey}, msg=${(msg.message||'').substring(0,50)}, attachments=${validAttachments.length}`);
+      gwClient.sendMessage(sessionKey, msg.message || '', validAttachments, { msgId }).then((payload) => {
+        setMessageStatus(sess, msgId, 'delivered', { runId: payload.runId || null });
+      }, () => {}); // 失败已作为该 session 的 error 事件发给前端
       break;
     }
 
     case 'cancel': {
-      const sessionKey = msg.sessionKey || ('webui:default_' + gwIdx);
+      const sessionKey = scopeSessionKey(ws._user, gwClient, msg.sessionKey || ('webui:default_' + gwIdx));
       gwClient.cancelRun(sessionKey);
       break;
     }
 
+    case 'session_settings': {
+      // 修改 session 设置（模型等）：先经 sessions.patch 应用到 gateway，成功后再保存
+      const sess = sessionStore.get(msg.sessionId) || sessionStore.findByKey(gwIdx, msg.sessionKey);
+      if (!sess || !canAccessSession(ws._user, sess)) {
+        console.warn('[Frontend] session_settings for unknown session:', msg.sessionId || msg.sessionKey);
+        break;
+      }
+      const patch = pickSessionSettings(msg.settings);
+      if (Object.keys(patch).length > 0) {
+        applySessionSettings(ws, sess, patch, gw => gw.patchSession(sess.sessionKey, patch));
+      }
+      break;
+    }
+
+    case 'session_levels': {
+      // 思考过程 / 工具事件级别：同样经 sessions.patch 应用，成功后随 session 保存
+      const sess = sessionStore.get(msg.sessionId) || sessionStore.findByKey(gwIdx, msg.sessionKey);
+      if (!sess || !canAccessSession(ws._user, sess)) {
+        console.warn('[Frontend] session_levels for unknown session:', msg.sessionId || msg.sessionKey);
+        break;
+      }
+      const levels = pickSessionLevels(msg.levels);
+      if (Object.keys(levels).length > 0) {
+        applySessionSettings(ws, sess, levels, gw => gw.setSessionLevels(sess.sessionKey, levels));
+      }
+      break;
+    }
+
+    case 'gateway_sessions': {
+      // 浏览 gateway 上已有的 session（含其他渠道创建的，如 agent:main:main）
+      const reply = (obj) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'gateway_sessions', gateway: gwIdx, agentId: msg.agentId || null, ...obj }));
+      };
+      gwClient.listSessions(msg.agentId).then((list) => {
+        reply({
+          sessions: list.filter(item => scopeSessionKey(ws._user, gwClient, item.sessionKey) === item.sessionKey).map(item => {
+            const opened = sessionStore.findByKey(gwIdx, item.sessionKey);
+            return { ...item, sessionId: opened ? opened.id : null };
+          }),
+        });
+      }, (err) => {
+        reply({ sessions: [], error: err.message });
+      });
+      break;
+    }
+
+    case 'cron_list':
+      if (!requireCronAdmin(ws, gwIdx)) break;
+      sendCronJobs(gwIdx, ws);
+      break;
+
+    case 'cron_action': {
+      if (!requireCronAdmin(ws, gwIdx)) break;
+      // 定时任务操作：run / pause / resume / delete；修改类操作成功后把最新列表发给所有前端
+      // （run 的进度由 cron 事件 started / finished 推送）
+      const jobId = typeof msg.jobId === 'string' ? msg.jobId : '';
+      const actions = {
+        run:    () => gwClient.runCronJob(jobId),
+        pause:  () => gwClient.setCronJobEnabled(jobId, false),
+        resume: () => gwClient.setCronJobEnabled(jobId, true),
+        delete: () => gwClient.removeCronJob(jobId),
+      };
+      if (!jobId || !actions[msg.action]) break;
+      console.log(`[Frontend] Cron ${msg.action} ${jobId} on gateway ${gwIdx}`);
+      actions[msg.action]().then(() => { if (msg.action !== 'run') sendCronJobs(gwIdx); }, (err) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'error', gateway: gwIdx, code: err.code, message: '定时任务操作失败: ' + err.message }));
+        }
+      });
+      break;
+    }
+
+    case 'session_open': {
+      // 在 WebUI 中打开 gateway 上的 session（已打开过则直接复用）
+      const sessionKey = typeof msg.sessionKey === 'string' ? msg.sessionKey : '';
+      if (!sessionKey || scopeSessionKey(ws._user, gwClient, sessionKey) !== sessionKey) break;
+      let sess = sessionStore.findByKey(gwIdx, sessionKey);
+      if (!sess) {
+        sess = sessionStore.upsert({
+          id: 'sess_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7),
+          title: typeof msg.title === 'string' ? msg.title.slice(0, 80) : sessionKey,
+          gatewayIdx: gwIdx,
+          sessionKey,
+          agentId: gwClient.agentOf(sessionKey),
+          owner: ws._user ? ws._user.name : null,
+          source: 'gateway',
+        });
+        console.log(`[Frontend] Opened gateway session ${sessionKey} on gateway ${gwIdx} as ${sess.id}`);
+      }
+      ws._ownedSessions.add(ownershipKey(gwIdx, sessionKey));
+      broadcastToFrontend({ type: 'session_update', session: withRunState(sessionStore.summary(sess)) });
+      ws.send(JSON.stringify({ type: 'session_opened', id: sess.id }));
+      break;
+    }
+
+    case 'load_history': {
+      const sess = sessionStore.get(msg.id);
+      if (!sess || !canAccessSession(ws._user, sess)) break;
+      loadGatewayHistory(ws, sess, Math.max(0, parseInt(msg.offset, 10) || 0));
+      break;
+    }
+
+    case 'resume': {
+      // 断线重连：补发 lastSeq 之后的事件，并重新认领该 session 的后续流
+      const sessionKey = scopeSessionKey(ws._user, gwClient, msg.sessionKey || ('webui:default_' + gwIdx));
+      const lastSeq = typeof msg.lastSeq === 'number' ? msg.lastSeq : 0;
+      ws._ownedSessions.add(ownershipKey(gwIdx, sessionKey));
+      const missed = replayBuffer.since(gwIdx, sessionKey, msg.runId, lastSeq);
+      if (missed) {
+        for (const ev of missed.events) ws.send(JSON.stringify({ ...ev, replay: true }));
+      }
+      ws.send(JSON.stringify({
+        type: 'resume_result',
+        gateway: gwIdx,
+        sessionKey,
+        runId: msg.runId,
+        ok: !!missed,
+        running: !!(missed && missed.running),
+        replayed: missed ? missed.events.length : 0,
+      }));
+      break;
+    }
+
     default:
       console.warn('[Frontend] Unknown message type:', msg.type);
   }
 }
 
+/** 定时任务属于整个 gateway，只有管理员可以查看和操作 */
+function requireCronAdmin(ws, gwIdx) {
+  if (isAdmin(ws._user)) return true;
+  ws.send(JSON.stringify({ type: 'error', gateway: gwIdx, code: 'FORBIDDEN', message: '定时任务需要管理员权限' }));
+  return false;
+}
+
+/** 把 gateway 的定时任务列表发给指定前端（不指定时发给所有前端） */
+function sendCronJobs(gwIdx, ws) {
+  const send = (obj) => {
+    const msg = { type: 'cron_jobs', gateway: gwIdx, ...obj };
+    if (!ws) broadcastToFrontend(msg);
+    else if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  };
+  gatewayClients[gwIdx].listCronJobs().then(jobs => send({ jobs }), err => send({ jobs: [], error: err.message }));
+}
+
+const HISTORY_PAGE = 50;   // 每次从 gateway 加载的历史消息条数
+const HISTORY_MAX = 1000;  // chat.history 的 limit 上限
+
+/**
+ * 从 gateway 分页加载 session 的历史（比服务端存储更早的消息）。
+ * chat.history 只支持取最近 limit 条，因此按 offset（已加载条数）扩大 limit 再截取更早的一页。
+ */
+function loadGatewayHistory(ws, sess, offset) {
+  const reply = (obj) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'session_history', id: sess.id, ...obj }));
+  };
+  const gwClient = gatewayClients[sess.gatewayIdx];
+  if (!gwClient) return;
+  const limit = Math.min(offset + HISTORY_PAGE, HISTORY_MAX);
+  gwClient.fetchHistory(sess.sessionKey, limit).then((messages) => {
+    // 打开之后的消息已在服务端存储中（agent 流 / chat 同步），去掉时间上重叠的部分
+    const first = sess.messages.find(m => m.ts);
+    const older = first ? messages.filter(m => !m.ts || m.ts < first.ts) : messages;
+    const end = Math.max(older.length - offset, 0);
+    const page = older.slice(Math.max(end - HISTORY_PAGE, 0), end);
+    const hasMore = end > page.length || (messages.length >= limit && limit < HISTORY_MAX);
+    reply({ messages: page, offset: offset + page.length, hasMore });
+  }, (err) => {
+    reply({ messages: [], offset, hasMore: true, error: err.message });
+  });
+}
+
+/** 前端可修改的 session 设置项（原样作为 sessions.patch 参数；null 表示恢复 gateway 默认） */
+const SESSION_SETTING_KEYS = ['model'];
+
+/** 思考过程 / 工具事件级别的可选值（session_levels） */
+const SESSION_LEVELS = {
+  reasoningLevel: ['off', 'on', 'stream'],
+  verboseLevel: ['off', 'on', 'full'],
+};
+
+function pickSessionSettings(settings) {
+  const patch = {};
+  if (!settings || typeof settings !== 'object') return patch;
+  for (const k of SESSION_SETTING_KEYS) {
+    if (settings[k] === null || (typeof settings[k] === 'string' && settings[k])) patch[k] = settings[k];
+  }
+  return patch;
+}
+
+function pickSessionLevels(levels) {
+  const patch = {};
+  if (!levels || typeof levels !== 'object') return patch;
+  for (const [k, allowed] of Object.entries(SESSION_LEVELS)) {
+    if (levels[k] === null || allowed.includes(levels[k])) patch[k] = levels[k];
+  }
+  return patch;
+}
+
+/**
+ * 应用 session 设置：apply(gwClient) 发出 sessions.patch（返回 Promise），成功后保存；
+ * 失败时提示发起的前端，并用 session_update 让它恢复原值
+ */
+function applySessionSettings(ws, sess, patch, apply) {
+  const reply = (obj) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+  };
+  const gwClient = gatewayClients[sess.gatewayIdx];
+  if (!gwClient) return;
+  apply(gwClient).then(() => {
+    sessionStore.upsert({ id: sess.id, settings: patch });
+    broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+  }, (err) => {
+    reply({ type: 'error', gateway: sess.gatewayIdx, message: '修改会话设置失败: ' + (err.message || err.code || '未知错误') });
+    reply({ type: 'session_update', session: sessionStore.summary(sess) });
+  });
+}
+
+/** gateway 重连后重新应用各 session 保存的设置（gateway 重启后不一定保留 sessions.patch 的结果） */
+function reapplySessionSettings(idx) {
+  const gwClient = gatewayClients[idx];
+  for (const info of sessionStore.list()) {
+    if (info.gatewayIdx !== idx || Object.keys(info.settings).length === 0) continue;
+    gwClient.patchSession(info.sessionKey, info.settings).catch(() => {}); // 失败已记录日志
+  }
+}
+
+// ─────────────────────────────────────────────
+// 8b. OpenAI 兼容接口（/v1/models, /v1/chat/completions）
+//    每个 API key 对应一个客户端，请求映射到 GatewayClient.sendMessage，
+//    回复来自同一 session 的 assistant/lifecycle 流。
+// ─────────────────────────────────────────────
+const OPENAI_RUN_TIMEOUT = 10 * 60 * 1000;
+
+function sendOpenAIError(res, status, message, type, code) {
+  sendJson(res, status, { error: { message, type, code: code || null } });
+}
+
+/** 按 Authorization: Bearer <key> 找到对应客户端（常量时间比较） */
+function findApiClient(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!m) return null;
+  const given = crypto.createHash('sha256').update(m[1].trim()).digest();
+  return API_KEYS.find(k => crypto.timingSafeEqual(given, crypto.createHash('sha256').update(k.key).digest())) || null;
+}
+
+/**
+ * API 客户端代表的用户：apiKeys[].user 指定时与该用户在前端登录的权限相同（只能访问自己的 session，
+ * sessionKey 带用户命名空间）；未指定时为管理员级别
+ * @returns {{ name, admin }|null|undefined} null 为管理员级别；绑定的用户不存在时为 undefined（拒绝访问）
+ */
+function apiClientUser(client) {
+  if (!client.user) return null;
+  return userInfo(client.user) || undefined;
+}
+
+/** OpenAI 接口临时 session 的 sessionKey 前缀（按客户端区分，绑定用户时带用户命名空间） */
+function openAITempKeyPrefix(client, user, gwClient) {
+  return scopeSessionKey(user, gwClient, 'openai:' + (client.name || 'client') + ':');
+}
+
+/** OpenAI content（字符串或 parts 数组）中的纯文本 */
+function openAIContentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(p => p && p.type === 'text' && typeof p.text === 'string')
+    .map(p => p.text)
+    .join('\n');
+}
+
+/** OpenAI content 中的 data URL 图片 -> sendMessage 附件格式 */
+function openAIContentImages(content) {
+  if (!Array.isArray(content)) return [];
+  const out = [];
+  content.forEach((p, i) => {
+    const url = p && p.type === 'image_url' && (typeof p.image_url === 'string' ? p.image_url : p.image_url && p.image_url.url);
+    const m = typeof url === 'string' && /^data:([^;,]+);base64,(.+)$/.exec(url);
+    if (!m) return;
+    out.push({ filename: 'image_' + (i + 1), mimeType: m[1], data: m[2], size: Math.floor(m[2].length * 3 / 4) });
+  });
+  return out;
+}
+
+/**
+ * 无状态调用：每次请求都带完整对话历史。
+ * 只有一条用户消息时原样发送，否则拼成带角色标签的文本交给 agent。
+ */
+function openAIMessagesToPrompt(messages) {
+  const turns = messages
+    .filter(m => m && typeof m.role === 'string')
+    .map(m => ({ role: m.role, text: openAIContentText(m.content) }));
+  const system = turns.filter(t => t.role === 'system' || t.role === 'developer').map(t => t.text).join('\n\n');
+  const dialog = turns.filter(t => t.role !== 'system' && t.role !== 'developer');
+  if (dialog.length === 1 && dialog[0].role === 'user') {
+    return system ? system + '\n\n' + dialog[0].text : dialog[0].text;
+  }
+  const label = { user: 'User', assistant: 'Assistant', tool: 'Tool' };
+  const parts = [];
+  if (system) parts.push('System: ' + system);
+  dialog.forEach(t => parts.push((label[t.role] || t.role) + ': ' + t.text));
+  return parts.join('\n\n');
+}
+
+async function handleOpenAIRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (API_KEYS.length === 0) {
+    sendOpenAIError(res, 404, 'OpenAI-compatible API is disabled (no apiKeys configured)', 'invalid_request_error');
+    return;
+  }
+  const client = findApiClient(req);
+  if (!client) {
+    sendOpenAIError(res, 401, 'Invalid API key', 'invalid_request_error', 'invalid_api_key');
+    return;
+  }
+  const user = apiClientUser(client);
+  if (user === undefined) {
+    sendOpenAIError(res, 403, 'API key is bound to an unknown user: ' + client.user, 'invalid_request_error');
+    return;
+  }
+
+  if (url.pathname === '/v1/models' && req.method === 'GET') {
+    const gwClient = gatewayClients[typeof client.gateway === 'number' ? client.gateway : 0];
+    sendJson(res, 200, {
+      object: 'list',
+      data: ((gwClient && gwClient.models) || CONFIG_MODELS).map(m => ({ id: m.value, object: 'model', created: 0, owned_by: 'openclaw', name: m.label })),
+    });
+    return;
+  }
+
+  if (url.pathname === '/v1/chat/completions' && req.method === 'POST') {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (e) {
+      sendOpenAIError(res, e.status || 400, e.message, 'invalid_request_error');
+      return;
+    }
+    await handleChatCompletion(req, res, client, user, body);
+    return;
+  }
+
+  sendOpenAIError(res, 404, 'Unknown endpoint: ' + req.method + ' ' + url.pathname, 'invalid_request_error');
+}
+
+async function handleChatCompletion(req, res, client, user, body) {
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  if (messages.length === 0) {
+    sendOpenAIError(res, 400, '`messages` must be a non-empty array', 'invalid_request_error');
+    return;
+  }
+  const gwIdx = typeof client.gateway === 'number' ? client.gateway : 0;
+  const gwClient = gatewayClients[gwIdx];
+  if (!gwClient || !gwClient.connected) {
+    sendOpenAIError(res, 503, 'Gateway not connected', 'server_error');
+    return;
+  }
+
+  // X-Session-Key: 复用一个 gateway session（由 gateway 保存历史，只发送最后一条用户消息）
+  // 否则每次请求使用一个临时 session，并把完整对话拼成一条消息；临时 session 在请求结束后删除
+  const headerKey = typeof req.headers['x-session-key'] === 'string' ? req.headers['x-session-key'].trim() : '';
+  const fixedKey = headerKey ? scopeSessionKey(user, gwClient, headerKey) : '';
+  const sessionKey = fixedKey || (openAITempKeyPrefix(client, user, gwClient) + crypto.randomUUID());
+  const lastUser = [...messages].reverse().find(m => m && m.role === 'user');
+  const prompt = fixedKey ? openAIContentText(lastUser && lastUser.content) : openAIMessagesToPrompt(messages);
+  const attachments = lastUser ? openAIContentImages(lastUser.content) : [];
+  const known = fixedKey && sessionStore.findByKey(gwIdx, sessionKey);
+  if (known && !canAccessSession(user, known)) {
+    sendOpenAIError(res, 403, 'Session belongs to another user', 'invalid_request_error');
+    return;
+  }
+  const dropTempSession = () => {
+    if (fixedKey) return;
+    gwClient.deleteSession(sessionKey).catch(() => {}); // 失败已记录日志
+  };
+
+  // 指定的模型必须在 /v1/models 中，发送前用 sessions.patch 应用到 session；
+  // 未指定时沿用 session 已选的模型，否则为 gateway 默认模型（响应中报告为 "openclaw"）
+  const requested = typeof body.model === 'string' && body.model ? body.model : null;
+  if (requested && !(gwClient.models || CONFIG_MODELS).some(m => m.value === requested)) {
+    sendOpenAIError(res, 400, 'Unknown model: ' + requested + ' (see /v1/models)', 'invalid_request_error', 'model_not_found');
+    return;
+  }
+  if (requested) {
+    try {
+      await gwClient.patchSession(sessionKey, { model: requested });
+    } catch (err) {
+      sendOpenAIError(res, 502, 'Failed to select model: ' + (err.message || err.code), 'server_error');
+      return;
+    }
+    if (known) {
+      sessionStore.upsert({ id: known.id, settings: { model: requested } });
+      broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(known) });
+    }
+    if (res.destroyed) { // 客户端已断开
+      dropTempSession();
+      return;
+    }
+  }
+  const model = requested || (known && known.settings && known.settings.model) || 'openclaw';
+  const stream = body.stream === true;
+  const completionId = 'chatcmpl-' + crypto.randomBytes(12).toString('hex');
+  const created = Math.floor(Date.now() / 1000);
+
+  let content = '';
+  let reasoning = '';
+  let finished = false;
+
+  const chunkFrame = (delta, finishReason) => 'data: ' + JSON.stringify({
+    id: completionId,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason || null }],
+  }) + '\n\n';
+
+  const finish = (err) => {
+    if (finished) return;
+    finished = true;
+    unsubscribe();
+    clearTimeout(timer);
+    dropTempSession();
+    if (stream) {
+      if (err) res.write('data: ' + JSON.stringify({ error: { message: err, type: 'server_error' } }) + '\n\n');
+      else res.write(chunkFrame({}, 'stop'));
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+    if (err) {
+      sendOpenAIError(res, 502, err, 'server_error');
+      return;
+    }
+    const message = { role: 'assistant', content };
+    if (reasoning) message.reasoning_content = reasoning;
+    sendJson(res, 200, {
+      id: completionId,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{ index: 0, message, finish_reason: 'stop' }],
+    });
+  };
+
+  const unsubscribe = addStreamListener(gwIdx, sessionKey, (msg) => {
+    switch (msg.type) {
+      case 'chunk':
+        content += msg.text;
+        if (stream) res.write(chunkFrame({ content: msg.text }));
+        break;
+      case 'thinking':
+        reasoning += msg.text;
+        if (stream) res.write(chunkFrame({ reasoning_content: msg.text }));
+        break;
+      case 'lifecycle':
+        if (msg.phase === 'error') finish(msg.message || 'Agent run failed');
+        else if (msg.phase === 'end' || msg.phase === 'cancelled') finish();
+        break;
+      case 'error':
+        // agent 请求被拒绝 / 超时，不会再有 lifecycle 事件
+        finish(msg.message || 'Gateway rejected the request');
+        break;
+    }
+  });
+
+  const timer = setTimeout(() => {
+    gwClient.cancelRun(sessionKey);
+    finish('Timed out waiting for the agent');
+  }, OPENAI_RUN_TIMEOUT);
+
+  // 客户端提前断开：取消 gateway 上的运行
+  res.on('close', () => {
+    if (finished) return;
+    finished = true;
+    unsubscribe();
+    clearTimeout(timer);
+    gwClient.cancelRun(sessionKey);
+    dropTempSession();
+  });
+
+  if (stream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(chunkFrame({ role: 'assistant', content: '' }));
+  }
+
+  // 复用的 session 若是 WebUI 中的会话，同步记录用户消息
+  const msgId = known ? recordUserTurn(known, { content: prompt, attachments }) : undefined;
+
+  console.log(`[OpenAI] ${client.name || 'client'} -> gateway ${gwIdx}, session=${sessionKey}, stream=${stream}`);
+  gwClient.sendMessage(sessionKey, prompt, attachments, { msgId }).then((payload) => {
+    if (known) setMessageStatus(known, msgId, 'delivered', { runId: payload.runId || null });
+  }, () => {}); // 失败由上面的 error 事件结束请求
+}
+
+// ─────────────────────────────────────────────
+// 8c. REST API（/api/sessions ...）
+//    与 OpenAI 兼容接口共用 apiKeys 认证；消息收发走与 handleFrontendMsg 相同的
+//    GatewayClient.sendMessage / cancelRun，并同步通知已连接的前端。
+//
+//    GET    /api/sessions                    session 列表
+//    POST   /api/sessions                    新建 { title?, gateway? }
+//    PATCH  /api/sessions/:id                重命名 { title }
+//    DELETE /api/sessions/:id                删除
+//    GET    /api/sessions/:id/messages       消息列表
+//    POST   /api/sessions/:id/messages       发送 { message, attachments? } -> { runId, messageId }
+//    POST   /api/sessions/:id/cancel         取消当前运行 -> { runId }
+//    GET    /api/sessions/:id/stream         SSE：run 的流式事件（见 handleRunStream）
+//    GET    /api/stream?sessionKey=&gateway= SSE：同上，按 sessionKey 指定
+// ─────────────────────────────────────────────
+const REST_ACCEPT_TIMEOUT = 15000;
+
+function sendApiError(res, status, message) {
+  sendJson(res, status, { error: { message } });
+}
+
+async function handleRestRequest(req, res) {
+  if (API_KEYS.length === 0) {
+    sendApiError(res, 404, 'REST API is disabled (no apiKeys configured)');
+    return;
+  }
+  const client = findApiClient(req);
+  if (!client) {
+    sendApiError(res, 401, 'Invalid API key');
+    return;
+  }
+  const user = apiClientUser(client);
+  if (user === undefined) {
+    sendApiError(res, 403, 'API key is bound to an unknown user: ' + client.user);
+    return;
+  }
+
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  let parts; // ['api', 'sessions', id?, sub?]
+  try {
+    parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    sendApiError(res, 400, 'Malformed URL: ' + pathname);
+    return;
+  }
+  if (pathname === '/api/stream' && req.method === 'GET') {
+    const sessionKey = searchParams.get('sessionKey') || '';
+    const gwParam = searchParams.get('gateway');
+    const gwIdx = gwParam !== null ? parseInt(gwParam, 10) : (typeof client.gateway === 'number' ? client.gateway : 0);
+    if (!sessionKey) {
+      sendApiError(res, 400, '`sessionKey` is required');
+      return;
+    }
+    handleRunStream(req, res, client, user, gwIdx, sessionKey, searchParams);
+    return;
+  }
+  if (parts[1] !== 'sessions' || parts.length > 4) {
+    sendApiError(res, 404, 'Not found');
+    return;
+  }
+
+  let body = {};
+  if (req.method === 'POST' || req.method === 'PATCH') {
+    try {
+      body = await readJsonBody(req);
+    } catch (e) {
+      sendApiError(res, e.status || 400, e.message);
+      return;
+    }
+  }
+
+  const [, , id, sub] = parts;
+  const route = req.method + ' ' + (id ? (sub ? ':id/' + sub : ':id') : '');
+
+  if (route === 'GET ') {
+    sendJson(res, 200, { sessions: sessionStore.list().filter(s => canAccessSession(user, s)).map(withRunState) });
+    return;
+  }
+  if (route === 'POST ') {
+    const gwIdx = typeof body.gateway === 'number' ? body.gateway : (typeof client.gateway === 'number' ? client.gateway : 0);
+    if (!gatewayClients[gwIdx]) {
+      sendApiError(res, 400, 'Invalid gateway index: ' + gwIdx);
+      return;
+    }
+    const gw = gatewayClients[gwIdx];
+    const agentId = body.agentId === undefined ? gw.defaultAgentId() : body.agentId;
+    if (typeof agentId !== 'string' || !/^[\w-]+$/.test(agentId)) {
+      sendApiError(res, 400, 'Invalid agentId: ' + agentId);
+      return;
+    }
+    const newId = 'sess_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7);
+    const sess = sessionStore.upsert({
+      id: newId,
+      title: typeof body.title === 'string' ? body.title.trim() : '',
+      gatewayIdx: gwIdx,
+      sessionKey: scopeSessionKey(user, gw, gw.localSessionKey('agent:' + agentId + ':webui:' + newId)),
+      agentId,
+      owner: user ? user.name : null,
+    });
+    broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+    sendJson(res, 201, { session: sessionStore.summary(sess) });
+    return;
+  }
+
+  const sess = sessionStore.get(id);
+  if (!sess || !canAccessSession(user, sess)) {
+    sendApiError(res, 404, 'Session not found: ' + id);
+    return;
+  }
+
+  switch (route) {
+    case 'PATCH :id': {
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title) {
+        sendApiError(res, 400, '`title` is required');
+        return;
+      }
+      sessionStore.upsert({ id: sess.id, title });
+      broadcastToFrontend({ type: 'session_update', session: sessionStore.summary(sess) });
+      sendJson(res, 200, { session: sessionStore.summary(sess) });
+      return;
+    }
+
+    case 'DELETE :id':
+      sessionStore.remove(sess.id);
+      broadcastToFrontend({ type: 'session_deleted', id: sess.id }, sess);
+      res.writeHead(204);
+      res.end();
+      return;
+
+    case 'GET :id/messages':
+      sendJson(res, 200, { session: sessionStore.summary(sess), messages: sessionStore.messages(sess.id) });
+      return;
+
+    case 'POST :id/messages':
+      restPostMessage(res, sess, body);
+      return;
+
+    case 'GET :id/stream':
+      handleRunStream(req, res, client, user, sess.gatewayIdx, sess.sessionKey, searchParams);
+      return;
+
+    case 'POST :id/cancel': {
+      const gwClient = gatewayClients[sess.gatewayIdx];
+      const runId = gwClient ? gwClient.cancelRun(sess.sessionKey) : null;
+      if (!runId) {
+        sendApiError(res, 409, 'No active run for this session');
+        return;
+      }
+      sendJson(res, 200, { runId });
+      return;
+    }
+  }
+  sendApiError(res, 405, 'Unsupported: ' + req.method + ' ' + pathname);
+}
+
+// SSE 推送的事件类型（与 broadcastToFrontend 发出的消息相同）
+const RUN_STREAM_TYPES = new Set(['lifecycle', 'chunk', 'thinking', 'tool_start', 'tool_update', 'tool_result']);
+const RUN_STREAM_HEARTBEAT = 15000;
+
+/**
+ * 以 SSE 推送一个 run 的事件，run 结束（end / error / cancelled）后关闭
+ *
+ * 归属规则：WebUI 存储中的 session 按 canAccessSession 判断（绑定用户的 API key 只能看自己的）；
+ * OpenAI 接口的临时 session（openai:<name>:...）只对创建它的客户端可见，其余 sessionKey 一律拒绝。
+ *
+ * 查询参数：runId（省略时跟随当前运行中的 run，没有则等待下一个 run）、
+ * lastSeq（或 Last-Event-ID 头，只补发之后的事件）。
+ */
+function handleRunStream(req, res, client, user, gwIdx, sessionKey, params) {
+  if (!gatewayClients[gwIdx]) {
+    sendApiError(res, 400, 'Invalid gateway index: ' + gwIdx);
+    return;
+  }
+  const ownKey = sessionKey.startsWith(openAITempKeyPrefix(client, user, gatewayClients[gwIdx]));
+  const stored = sessionStore.findByKey(gwIdx, sessionKey);
+  if (!ownKey && !(stored && canAccessSession(user, stored))) {
+    sendApiError(res, sessionKey.includes('openai:') ? 403 : 404, 'Unknown session: ' + sessionKey);
+    return;
+  }
+
+  const lastEventId = parseInt(params.get('lastSeq') || req.headers['last-event-id'] || '0', 10);
+  const lastSeq = Number.isFinite(lastEventId) ? lastEventId : 0;
+  let runId = params.get('runId') || null;
+  let backlog = [];
+  if (runId) {
+    const missed = replayBuffer.since(gwIdx, sessionKey, runId, lastSeq);
+    if (!missed) {
+      sendApiError(res, 404, 'Run not found or no longer buffered: ' + runId);
+      return;
+    }
+    backlog = missed.events;
+  } else {
+    // 未指定 runId：接上正在运行的 run（从头补发），否则等下一个 run 开始
+    const cur = replayBuffer.current(gwIdx, sessionKey);
+    if (cur && cur.running) {
+      runId = cur.runId;
+      // lastSeq 可能属于更早的 run（或省略为 0），从本次 run 缓存的第一个事件开始
+      const missed = replayBuffer.since(gwIdx, sessionKey, runId, Math.max(lastSeq, cur.firstSeq - 1));
+      backlog = missed ? missed.events : [];
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+  let sentSeq = lastSeq;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  const emit = (msg) => {
+    if (closed || !RUN_STREAM_TYPES.has(msg.type)) return;
+    if (!runId) {
+      if (msg.type !== 'lifecycle' || msg.phase !== 'start') return;
+      runId = msg.runId;
+    }
+    if (msg.runId !== runId || msg.seq <= sentSeq) return;
+    sentSeq = msg.seq;
+    res.write('id: ' + msg.seq + '\nevent: ' + msg.type + '\ndata: ' + JSON.stringify(msg) + '\n\n');
+    if (msg.type === 'lifecycle' && msg.phase !== 'start') close();
+  };
+
+  const unsubscribe = addStreamListener(gwIdx, sessionKey, emit);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), RUN_STREAM_HEARTBEAT);
+  res.on('close', close);
+
+  console.log(`[REST] ${client.name || 'client'} streaming gateway ${gwIdx}, session=${sessionKey}, run=${runId || '(next)'}`);
+  for (const ev of backlog) emit(ev);
+}
+
+function restPostMessage(res, sess, body) {
+  const text = typeof body.message === 'string' ? body.message : '';
+  const attachments = (Array.isArray(body.attachments) ? body.attachments : []).filter(att => att && att.data);
+  if (!text && attachments.length === 0) {
+    sendApiError(res, 400, '`message` is required');
+    return;
+  }
+  const gwClient = gatewayClients[sess.gatewayIdx];
+  if (!gwClient || !gwClient.connected) {
+    sendApiError(res, 503, 'Gateway not connected');
+    return;
+  }
+
+  const messageId = 'msg_' + Date.now() + '_' + Math.random().toString(36).slice(2, 7);
+  recordUserTurn(sess, { id: messageId, content: text, attachments });
+
+  console.log(`[REST] Sending to gateway ${sess.gatewayIdx}, session=${sess.sessionKey}, msg=${text.substring(0, 50)}`);
+  gwClient.sendMessage(sess.sessionKey, text, attachments, { timeout: REST_ACCEPT_TIMEOUT, msgId: messageId }).then((payload) => {
+    setMessageStatus(sess, messageId, 'delivered', { runId: payload.runId || null });
+    sendJson(res, 202, { runId: payload.runId || null, messageId, sessionKey: sess.sessionKey });
+  }, (err) => {
+    if (err.code === 'TIMEOUT') {
+      sendApiError(res, 504, 'Gateway did not acknowledge the message in time');
+      return;
+    }
+    sendJson(res, 502, { error: { message: err.message || 'Gateway rejected the message', code: err.code } });
+  });
+}
+
 // ─────────────────────────────────────────────
 // 9. 启动 HTTP 服务器
 // ─────────────────────────────────────────────
@@ -3102,6 +6770,110 @@ httpServer.listen(PORT, () => {
   console.log('');
 });
 
+// ─────────────────────────────────────────────
+// 10. 配置热加载（config.json 变化或 SIGHUP）
+// ─────────────────────────────────────────────
+/** 这些字段变化时重建该 gateway 的连接；其余字段（name、agents 等）直接更新 */
+const GATEWAY_CONNECT_FIELDS = ['url', 'token', 'agentId'];
+
+/**
+ * 重新读取 config.json 并应用：gateway 按位置对应（session 以 gatewayIdx 关联 gateway），
+ * 只新建 / 销毁 / 重连有变化的 GatewayClient，然后向已连接的前端重新发送 init。
+ * 配置文件读取或解析失败时保留当前配置。
+ */
+function reloadConfig(reason, { force = false } = {}) {
+  let next;
+  try {
+    next = readConfig();
+  } catch (e) {
+    console.error(`[Config] Reload (${reason}) failed, keeping current config:`, e.message);
+    return;
+  }
+  if (!force && next.text === configText) return;
+
+  const prevGateways = GATEWAYS;
+  const prevPassword = PASSWORD;
+  const prevCdnFallback = CDN_FALLBACK;
+  configText = next.text;
+  config = next.config;
+  applyConfig(config);
+  console.log(`[Config] Reloading (${reason}): ${GATEWAYS.length} gateway(s)`);
+  if ((config.port || 18890) !== PORT) console.warn('[Config] Port change requires a restart');
+
+  const count = Math.max(prevGateways.length, GATEWAYS.length);
+  for (let i = 0; i < count; i++) {
+    const before = prevGateways[i];
+    const after = GATEWAYS[i];
+    if (!after) {
+      console.log(`[Config] Gateway ${i} removed (${before.name})`);
+      gatewayClients[i].destroy();
+    } else if (!before) {
+      console.log(`[Config] Gateway ${i} added (${after.name})`);
+      gatewayClients[i] = createGatewayClient(i);
+    } else if (GATEWAY_CONNECT_FIELDS.some(f => before[f] !== after[f])) {
+      console.log(`[Config] Gateway ${i} changed, reconnecting (${after.name})`);
+      gatewayClients[i].destroy();
+      gatewayClients[i] = createGatewayClient(i);
+    } else {
+      gatewayClients[i].cfg = after;
+    }
+  }
+  gatewayClients.length = GATEWAYS.length;
+
+  if (CDN_FALLBACK !== prevCdnFallback) HTML_PAGE = getHtmlPage();
+
+  // 密码变更：撤销所有登录，已登录的前端需要重新登录；取消密码时等待登录的前端直接进入
+  // （多用户模式下不使用 config.password）
+  if (PASSWORD !== prevPassword && USERS.size === 0) {
+    pruneLogins();
+    if (!AUTH_REQUIRED) {
+      for (const client of wss.clients) {
+        if (client.readyState !== WebSocket.OPEN || client._authenticated) continue;
+        client._authenticated = true;
+        frontendClients.add(client);
+      }
+    }
+  }
+
+  for (const client of frontendClients) {
+    if (client.readyState === WebSocket.OPEN && client._authenticated) sendInitMsg(client);
+  }
+}
+
+/**
+ * 重新读取 users.json：被删除或改了密码的用户的登录被撤销，
+ * 从单密码模式切换到多用户模式（或反之）时所有登录失效
+ */
+function reloadUsers() {
+  const prevUsers = USERS;
+  loadUsers();
+  if (USERS === prevUsers) return; // 读取失败
+  AUTH_REQUIRED = !!PASSWORD || USERS.size > 0;
+  console.log(`[Users] Reloaded: ${USERS.size} user(s)`);
+  pruneLogins();
+}
+
+let configReloadTimer = null;
+let usersReloadTimer = null;
+try {
+  fs.watch(path.dirname(CONFIG_PATH), (event, filename) => {
+    // 编辑器保存时可能连续触发多次（或先删除再重建），稍等再读
+    if (filename === path.basename(CONFIG_PATH)) {
+      clearTimeout(configReloadTimer);
+      configReloadTimer = setTimeout(() => reloadConfig('file changed'), 300);
+    } else if (filename === path.basename(USERS_PATH)) {
+      clearTimeout(usersReloadTimer);
+      usersReloadTimer = setTimeout(reloadUsers, 300);
+    }
+  });
+} catch (e) {
+  console.warn('[Config] Cannot watch config.json, send SIGHUP to reload:', e.message);
+}
+process.on('SIGHUP', () => {
+  reloadUsers();
+  reloadConfig('SIGHUP', { force: true });
+});
+
 // 优雅关闭
 process.on('SIGINT', () => {
   console.log('\nShutting down...');